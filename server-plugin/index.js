@@ -4,6 +4,7 @@
  */
 
 const { spawn } = require('child_process');
+const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs');
 
@@ -13,9 +14,12 @@ const info = {
     description: 'Executes Python code on the local machine for the PyRunner extension',
 };
 
-// Venv storage directory
+// Venv storage directory. Venvs here are system venvs, shared by all users.
 const VENVS_DIR = path.join(__dirname, 'venvs');
 
+// Each user's own venvs, in a directory named after their SillyTavern handle
+const USER_VENVS_DIR = path.join(__dirname, 'user-venvs');
+
 // Ensure venvs directory exists
 if (!fs.existsSync(VENVS_DIR)) {
     fs.mkdirSync(VENVS_DIR, { recursive: true });
@@ -82,22 +86,33 @@ function saveLogConfig() {
     }
 }
 
+/**
+ * Get the log directory of a user; activity of users other than admins is logged there
+ * @param {string|null} [owner] - User handle, or null for the main log directory
+ * @returns {string}
+ */
+function getLogDirectory(owner = null) {
+    return owner ? path.join(logConfig.directory, 'users', owner) : logConfig.directory;
+}
+
 /**
  * Ensure log directory exists
+ * @param {string} [directory] - Defaults to the main log directory
  */
-function ensureLogDirectory() {
-    if (!fs.existsSync(logConfig.directory)) {
-        fs.mkdirSync(logConfig.directory, { recursive: true });
+function ensureLogDirectory(directory = logConfig.directory) {
+    if (!fs.existsSync(directory)) {
+        fs.mkdirSync(directory, { recursive: true });
     }
 }
 
 /**
  * Get current log file path
+ * @param {string} [directory] - Defaults to the main log directory
  * @returns {string}
  */
-function getLogFilePath() {
+function getLogFilePath(directory = logConfig.directory) {
     const date = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
-    return path.join(logConfig.directory, `pyrunner-${date}.log`);
+    return path.join(directory, `pyrunner-${date}.log`);
 }
 
 /**
@@ -122,17 +137,19 @@ function rotateLogIfNeeded(logPath) {
 /**
  * Write a log entry
  * @param {string} level - Log level (ERROR, WARN, INFO, DEBUG)
- * @param {string} category - Log category (SCRIPT, SYSTEM, VENV, PACKAGE)
+ * @param {string} category - Log category (SCRIPT, SESSION, SYSTEM, VENV, PACKAGE, PYODIDE, SECURITY, AUTH)
  * @param {string} message - Log message
  * @param {object} [details] - Additional details
+ * @param {string|null} [owner] - Handle of the user whose log this goes to, or null for the main log
  */
-function writeLog(level, category, message, details = null) {
+function writeLog(level, category, message, details = null, owner = null) {
     if (!logConfig.enabled) return;
     if (!logConfig.levels[level]) return;
 
     try {
-        ensureLogDirectory();
-        const logPath = getLogFilePath();
+        const directory = getLogDirectory(owner);
+        ensureLogDirectory(directory);
+        const logPath = getLogFilePath(directory);
         rotateLogIfNeeded(logPath);
 
         const timestamp = new Date().toISOString();
@@ -153,17 +170,164 @@ function writeLog(level, category, message, details = null) {
     }
 }
 
-// Convenience logging functions
-const log = {
-    error: (category, message, details) => writeLog('ERROR', category, message, details),
-    warn: (category, message, details) => writeLog('WARN', category, message, details),
-    info: (category, message, details) => writeLog('INFO', category, message, details),
-    debug: (category, message, details) => writeLog('DEBUG', category, message, details),
-};
+/**
+ * Create convenience logging functions writing to one log
+ * @param {string|null} [owner] - User handle, or null for the main log
+ * @returns {object}
+ */
+function createLogger(owner = null) {
+    return {
+        error: (category, message, details) => writeLog('ERROR', category, message, details, owner),
+        warn: (category, message, details) => writeLog('WARN', category, message, details, owner),
+        info: (category, message, details) => writeLog('INFO', category, message, details, owner),
+        debug: (category, message, details) => writeLog('DEBUG', category, message, details, owner),
+    };
+}
+
+// Convenience logging functions for the main log
+const log = createLogger();
+
+/**
+ * Get the log for what a user does: admins share the main log, other users have their own
+ * @param {{handle: string, admin: boolean}|null} user - See getRequestUser()
+ * @returns {object} Logger like `log`
+ */
+function getUserLog(user) {
+    return user && !user.admin ? createLogger(user.handle) : log;
+}
 
 // Load config on module load
 loadLogConfig();
 
+// =============================================================================
+// PROCESS MANAGEMENT
+// =============================================================================
+
+// Time between SIGTERM and SIGKILL when stopping a process
+const KILL_GRACE_PERIOD = 3000;
+
+// Spawned processes by PID. Entries stay while anything in the process group is still running.
+const childProcesses = new Map();
+
+/**
+ * Send a signal to a process and everything it started
+ * @param {number} pid - PID of the process group leader
+ * @param {string|number} signal - e.g. 'SIGTERM', 'SIGKILL' or 0 to check for processes
+ * @returns {boolean} Whether any process received the signal
+ */
+function signalProcessTree(pid, signal) {
+    if (process.platform === 'win32') {
+        // Windows has no process groups; taskkill /T walks the tree instead
+        if (signal) {
+            spawn('taskkill', ['/pid', String(pid), '/T', '/F']).on('error', () => {});
+        }
+        return false;
+    }
+    try {
+        // A negative PID signals the whole process group
+        process.kill(-pid, signal);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Check whether a process or anything left in its process group is still running
+ * @param {import('child_process').ChildProcess} proc
+ * @returns {boolean}
+ */
+function isProcessTreeAlive(proc) {
+    return (proc.exitCode === null && proc.signalCode === null) || signalProcessTree(proc.pid, 0);
+}
+
+/**
+ * Stop a process tree, escalating from SIGTERM to SIGKILL after KILL_GRACE_PERIOD
+ * @param {import('child_process').ChildProcess} proc - Process started with spawnProcess()
+ * @returns {Promise<void>} Resolves once the tree is gone or SIGKILL was sent
+ */
+function terminateProcessTree(proc) {
+    const entry = childProcesses.get(proc.pid);
+    if (entry?.terminating) {
+        return entry.terminating;
+    }
+
+    const terminating = new Promise((resolve) => {
+        if (!isProcessTreeAlive(proc)) {
+            return resolve();
+        }
+        signalProcessTree(proc.pid, 'SIGTERM');
+        const deadline = Date.now() + KILL_GRACE_PERIOD;
+        const timer = setInterval(() => {
+            if (!isProcessTreeAlive(proc)) {
+                clearInterval(timer);
+                resolve();
+            } else if (Date.now() >= deadline) {
+                clearInterval(timer);
+                log.warn('SYSTEM', `Process did not stop after SIGTERM, killing it: ${proc.pid}`);
+                signalProcessTree(proc.pid, 'SIGKILL');
+                resolve();
+            }
+        }, 100);
+    });
+    if (entry) {
+        entry.terminating = terminating;
+    }
+    return terminating;
+}
+
+/**
+ * Spawn a process in its own process group and track it until the group is gone
+ * Takes the same arguments as child_process.spawn(), but a `timeout` option stops
+ * the whole tree instead of only the direct child.
+ * @param {string} command
+ * @param {string[]} args
+ * @param {object} [options]
+ * @returns {import('child_process').ChildProcess}
+ */
+function spawnProcess(command, args, options = {}) {
+    const { timeout, ...spawnOptions } = options;
+    // detached makes the child a process group leader on POSIX
+    const proc = spawn(command, args, { ...spawnOptions, detached: process.platform !== 'win32' });
+    if (!proc.pid) {
+        // Spawning failed; the 'error' event reports why
+        return proc;
+    }
+
+    childProcesses.set(proc.pid, { proc, startedAt: Date.now(), terminating: null });
+    const timeoutId = timeout ? setTimeout(() => terminateProcessTree(proc), timeout) : null;
+    proc.on('exit', () => {
+        clearTimeout(timeoutId);
+        // Leftover processes keep the entry until cleanupChildProcesses() sees them gone
+        if (!isProcessTreeAlive(proc)) {
+            childProcesses.delete(proc.pid);
+        }
+    });
+    return proc;
+}
+
+/**
+ * Forget process groups that have no running processes left
+ */
+function cleanupChildProcesses() {
+    for (const { proc } of [...childProcesses.values()]) {
+        if (!isProcessTreeAlive(proc)) {
+            childProcesses.delete(proc.pid);
+        }
+    }
+}
+
+/**
+ * Kill every tracked process group at once. Children run in process groups of their own, so a Ctrl-C
+ * in the terminal does not reach them, and they would outlive SillyTavern if it exits without
+ * unloading the plugin. Runs from a process 'exit' listener, so it only does synchronous work.
+ */
+function killAllChildProcesses() {
+    for (const { proc } of childProcesses.values()) {
+        signalProcessTree(proc.pid, 'SIGKILL');
+    }
+}
+
 /**
  * Get the system Python command
  */
@@ -171,13 +335,22 @@ function getPythonCommand() {
     return process.platform === 'win32' ? 'python' : 'python3';
 }
 
+/**
+ * Get a venv's directory
+ * @param {string} venvName - System venv name, or "<handle>/<name>" for a user's own venv (see resolveVenv())
+ * @returns {string}
+ */
+function getVenvDir(venvName) {
+    return venvName.includes('/') ? path.join(USER_VENVS_DIR, venvName) : path.join(VENVS_DIR, venvName);
+}
+
 /**
  * Get the Python executable path for a venv
- * @param {string} venvName - Name of the venv (default: 'default')
+ * @param {string} venvName - Name of the venv (default: 'default'), see getVenvDir()
  * @returns {string} Path to Python executable
  */
 function getVenvPython(venvName = 'default') {
-    const venvPath = path.join(VENVS_DIR, venvName);
+    const venvPath = getVenvDir(venvName);
     return process.platform === 'win32'
         ? path.join(venvPath, 'Scripts', 'python.exe')
         : path.join(venvPath, 'bin', 'python');
@@ -204,16 +377,17 @@ function isValidVenvName(name) {
 
 /**
  * Create a new venv
- * @param {string} venvName - Name of the venv
+ * @param {string} venvName - Name of the venv, see getVenvDir()
+ * @param {object} [userLog] - Log of the user creating it, see getUserLog()
  * @returns {Promise<{success: boolean, error?: string}>}
  */
-function createVenv(venvName) {
+function createVenv(venvName, userLog = log) {
     return new Promise((resolve) => {
-        const venvPath = path.join(VENVS_DIR, venvName);
+        const venvPath = getVenvDir(venvName);
         const pythonCmd = getPythonCommand();
-        log.info('VENV', `Creating venv: ${venvName}`, { path: venvPath });
+        userLog.info('VENV', `Creating venv: ${venvName}`, { path: venvPath });
 
-        const proc = spawn(pythonCmd, ['-m', 'venv', venvPath], {
+        const proc = spawnProcess(pythonCmd, ['-m', 'venv', venvPath], {
             timeout: 120000,
         });
 
@@ -223,10 +397,10 @@ function createVenv(venvName) {
         proc.on('close', (code) => {
             if (code !== 0) {
                 const error = stderr.trim() || 'Failed to create venv';
-                log.error('VENV', `Failed to create venv: ${venvName}`, { error, exitCode: code });
+                userLog.error('VENV', `Failed to create venv: ${venvName}`, { error, exitCode: code });
                 resolve({ success: false, error });
             } else {
-                log.info('VENV', `Venv created successfully: ${venvName}`);
+                userLog.info('VENV', `Venv created successfully: ${venvName}`);
                 resolve({ success: true });
             }
         });
@@ -240,26 +414,27 @@ function createVenv(venvName) {
 
 /**
  * Delete a venv directory recursively
- * @param {string} venvName - Name of the venv
+ * @param {string} venvName - Name of the venv, see getVenvDir()
+ * @param {object} [userLog] - Log of the user deleting it, see getUserLog()
  * @returns {Promise<{success: boolean, error?: string}>}
  */
-function deleteVenv(venvName) {
+function deleteVenv(venvName, userLog = log) {
     return new Promise((resolve) => {
-        const venvPath = path.join(VENVS_DIR, venvName);
-        log.info('VENV', `Deleting venv: ${venvName}`, { path: venvPath });
+        const venvPath = getVenvDir(venvName);
+        userLog.info('VENV', `Deleting venv: ${venvName}`, { path: venvPath });
         try {
             fs.rmSync(venvPath, { recursive: true, force: true });
-            log.info('VENV', `Venv deleted successfully: ${venvName}`);
+            userLog.info('VENV', `Venv deleted successfully: ${venvName}`);
             resolve({ success: true });
         } catch (err) {
-            log.error('VENV', `Failed to delete venv: ${venvName}`, { error: err.message });
+            userLog.error('VENV', `Failed to delete venv: ${venvName}`, { error: err.message });
             resolve({ success: false, error: err.message });
         }
     });
 }
 
 /**
- * List all venvs
+ * List all system venvs
  * @returns {string[]} Array of venv names
  */
 function listVenvs() {
@@ -288,228 +463,2865 @@ async function ensureDefaultVenv() {
     }
 }
 
-function executePython(code, timeout = 30000, venvName = 'default') {
-    return new Promise((resolve, reject) => {
-        const pythonCmd = getVenvPython(venvName);
-        const codePreview = code.length > 100 ? code.substring(0, 100) + '...' : code;
-        log.debug('SCRIPT', `Executing Python code in venv: ${venvName}`, { codePreview, timeout });
+// =============================================================================
+// RESOURCE LIMITS
+// =============================================================================
 
-        const proc = spawn(pythonCmd, ['-c', code], {
-            timeout: timeout,
-            maxBuffer: 1024 * 1024,
-            env: { ...process.env, PYTHONIOENCODING: 'utf-8' },
-        });
+// Default resource limits for server executions (0 = unlimited). Memory uses RLIMIT_DATA rather than
+// RLIMIT_AS: it counts the heap and writable mappings the code allocates, not the large virtual arenas
+// numpy/OpenBLAS, torch or JVM-backed packages reserve without using.
+let limitsConfig = {
+    memoryMB: 2048,      // Heap and writable mappings (RLIMIT_DATA)
+    cpuSeconds: 300,     // CPU time (RLIMIT_CPU)
+    maxProcesses: 64,    // Processes and threads a script may start (RLIMIT_NPROC)
+    maxFileSizeMB: 100,  // Size of any file a script writes (RLIMIT_FSIZE)
+    maxOutputKB: 1024,   // Captured stdout + stderr
+};
 
-        let stdout = '';
-        let stderr = '';
+// Config file path
+const LIMITS_CONFIG_FILE = path.join(__dirname, 'limits-config.json');
 
-        proc.stdout.on('data', (data) => { stdout += data.toString(); });
-        proc.stderr.on('data', (data) => { stderr += data.toString(); });
+/**
+ * Load resource limits from file
+ */
+function loadLimitsConfig() {
+    try {
+        if (fs.existsSync(LIMITS_CONFIG_FILE)) {
+            const saved = JSON.parse(fs.readFileSync(LIMITS_CONFIG_FILE, 'utf-8'));
+            limitsConfig = { ...limitsConfig, ...saved };
+        }
+    } catch (err) {
+        console.error('[PyRunner] Failed to load limits config:', err.message);
+    }
+}
 
-        const timeoutId = setTimeout(() => {
-            proc.kill('SIGTERM');
-            log.error('SCRIPT', `Execution timed out in venv: ${venvName}`, { timeout, codePreview });
-            reject(new Error('Execution timed out'));
-        }, timeout);
+/**
+ * Save resource limits to file
+ */
+function saveLimitsConfig() {
+    try {
+        fs.writeFileSync(LIMITS_CONFIG_FILE, JSON.stringify(limitsConfig, null, 2));
+    } catch (err) {
+        console.error('[PyRunner] Failed to save limits config:', err.message);
+    }
+}
 
-        proc.on('close', (exitCode) => {
-            clearTimeout(timeoutId);
-            if (exitCode !== 0 && stderr) {
-                log.error('SCRIPT', `Script execution failed in venv: ${venvName}`, {
-                    exitCode,
-                    error: stderr.trim(),
-                    codePreview,
-                });
-                resolve({ output: stdout, error: stderr.trim() });
-            } else {
-                log.info('SCRIPT', `Script executed successfully in venv: ${venvName}`, {
-                    exitCode,
-                    outputLength: stdout.length,
-                });
-                resolve({ output: stdout.trim(), error: null });
-            }
-        });
+loadLimitsConfig();
+
+// Applies the rlimits passed as JSON in argv[1], then replaces itself with the interpreter
+// command in argv[2:]. Limits survive exec, so they cover the code and anything it spawns.
+const LIMITS_LAUNCHER = [
+    'import json, os, resource, sys',
+    'limits = json.loads(sys.argv[1])',
+    '',
+    'def cap(kind, soft, hard=None):',
+    '    hard = soft if hard is None else hard',
+    '    current = resource.getrlimit(kind)[1]',
+    '    if current != resource.RLIM_INFINITY:',
+    '        soft, hard = min(soft, current), min(hard, current)',
+    '    resource.setrlimit(kind, (soft, hard))',
+    '',
+    'def count_user_threads():',
+    '    uid, count = os.getuid(), 0',
+    '    for pid in os.listdir("/proc"):',
+    '        try:',
+    '            if pid.isdigit() and os.stat("/proc/" + pid).st_uid == uid:',
+    '                count += len(os.listdir("/proc/" + pid + "/task"))',
+    '        except OSError:',
+    '            pass',
+    '    return count',
+    '',
+    'if limits["memory"]:',
+    '    cap(resource.RLIMIT_DATA, limits["memory"])',
+    'if limits["cpu"]:',
+    '    # SIGXCPU at the soft limit tells a CPU kill apart from other signals',
+    '    cap(resource.RLIMIT_CPU, limits["cpu"], limits["cpu"] + 1)',
+    'if limits["fileSize"]:',
+    '    cap(resource.RLIMIT_FSIZE, limits["fileSize"])',
+    'if limits["processes"]:',
+    '    # NPROC counts every thread of the user, so allow this many on top of those running',
+    '    cap(resource.RLIMIT_NPROC, count_user_threads() + limits["processes"])',
+    'os.execv(sys.executable, [sys.executable] + sys.argv[2:])',
+].join('\n');
 
-        proc.on('error', (err) => {
-            clearTimeout(timeoutId);
-            log.error('SYSTEM', `Spawn error executing Python in venv: ${venvName}`, { error: err.message });
-            reject(new Error('Failed to execute Python: ' + err.message));
-        });
-    });
+/**
+ * Get the rlimits for an execution from the config
+ * @param {object} [overrides] - Values to use instead of the config, e.g. { cpu: 3600 }
+ * @returns {{memory: number, cpu: number, processes: number, fileSize: number}} - Bytes, seconds and counts (0 = unlimited)
+ */
+function getResourceLimits(overrides = {}) {
+    return {
+        memory: limitsConfig.memoryMB * 1024 * 1024,
+        cpu: limitsConfig.cpuSeconds,
+        processes: limitsConfig.maxProcesses,
+        fileSize: limitsConfig.maxFileSizeMB * 1024 * 1024,
+        ...overrides,
+    };
 }
 
-function pipInstall(packages, timeout = 120000, venvName = 'default') {
-    return new Promise((resolve, reject) => {
-        const pythonCmd = getVenvPython(venvName);
-        const packageList = packages.split(/\s+/).filter(p => p);
-        log.info('PACKAGE', `Installing packages in venv: ${venvName}`, { packages: packageList });
+/**
+ * Build the spawn command for Python, going through LIMITS_LAUNCHER where rlimits are supported
+ * @param {string} pythonCmd - Python executable
+ * @param {string[]} args - Interpreter arguments
+ * @param {object} limits - From getResourceLimits()
+ * @returns {{command: string, args: string[]}}
+ */
+function withResourceLimits(pythonCmd, args, limits) {
+    if (process.platform !== 'linux') {
+        return { command: pythonCmd, args };
+    }
+    // -S skips site (and the policy guard's sitecustomize), which would refuse the launcher's exec
+    return { command: pythonCmd, args: ['-S', '-c', LIMITS_LAUNCHER, JSON.stringify(limits), ...args] };
+}
 
-        const args = ['-m', 'pip', 'install', ...packageList];
-        const proc = spawn(pythonCmd, args, {
-            timeout: timeout,
-            maxBuffer: 1024 * 1024,
-            env: { ...process.env, PYTHONIOENCODING: 'utf-8' },
-        });
+/**
+ * Work out which resource limit stopped a process, if any
+ * @param {string|null} signal - Signal that ended the process
+ * @param {string} stderr - Captured stderr
+ * @param {object} limits - From getResourceLimits()
+ * @returns {string|null} - 'cpu', 'memory', 'fileSize', 'processes' or null
+ */
+function detectLimit(signal, stderr, limits) {
+    if (limits.cpu && signal === 'SIGXCPU') return 'cpu';
+    if (limits.memory && /\bMemoryError\b|Cannot allocate memory|std::bad_alloc/.test(stderr)) return 'memory';
+    // Python ignores SIGXFSZ, so the write fails with EFBIG instead
+    if (limits.fileSize && /File too large/.test(stderr)) return 'fileSize';
+    if (limits.processes && /Resource temporarily unavailable/.test(stderr)) return 'processes';
+    return null;
+}
 
-        let stdout = '';
-        let stderr = '';
+/**
+ * Describe a resource limit for error messages
+ * @param {string} limit - Limit name from detectLimit() or 'output'
+ * @returns {string}
+ */
+function describeLimit(limit) {
+    switch (limit) {
+        case 'cpu': return `CPU time limit exceeded (${limitsConfig.cpuSeconds} s)`;
+        case 'memory': return `Memory limit exceeded (${limitsConfig.memoryMB} MB)`;
+        case 'fileSize': return `File size limit exceeded (${limitsConfig.maxFileSizeMB} MB)`;
+        case 'processes': return `Process limit exceeded (${limitsConfig.maxProcesses})`;
+        case 'output': return `Output limit exceeded (${limitsConfig.maxOutputKB} KB), output truncated`;
+        default: return 'Resource limit exceeded';
+    }
+}
 
-        proc.stdout.on('data', (data) => { stdout += data.toString(); });
-        proc.stderr.on('data', (data) => { stderr += data.toString(); });
+/**
+ * Cut a string down to a number of UTF-8 bytes
+ * @param {string} text
+ * @param {number} maxBytes
+ * @returns {string}
+ */
+function truncateBytes(text, maxBytes) {
+    const buffer = Buffer.from(text, 'utf8');
+    if (buffer.length <= maxBytes) {
+        return text;
+    }
+    // A multi-byte character cut in half decodes to U+FFFD, so drop it
+    return buffer.subarray(0, maxBytes).toString('utf8').replace(/\uFFFD$/, '');
+}
 
-        const timeoutId = setTimeout(() => {
-            proc.kill('SIGTERM');
-            log.error('PACKAGE', `Package installation timed out in venv: ${venvName}`, { packages: packageList, timeout });
-            reject(new Error('Installation timed out'));
-        }, timeout);
+// =============================================================================
+// VENV POLICIES
+// =============================================================================
 
-        proc.on('close', (exitCode) => {
-            clearTimeout(timeoutId);
-            if (exitCode !== 0) {
-                const error = stderr.trim() || 'Installation failed';
-                log.error('PACKAGE', `Package installation failed in venv: ${venvName}`, { packages: packageList, exitCode, error });
-                resolve({ output: stdout, error });
-            } else {
-                log.info('PACKAGE', `Packages installed successfully in venv: ${venvName}`, { packages: packageList });
-                resolve({ output: stdout.trim(), error: null });
+// What code in a venv may do; everything is allowed unless the venv's policy says otherwise
+const DEFAULT_POLICY = {
+    fileWrite: true,   // Create, change or delete files
+    subprocess: true,  // Start processes (subprocess, os.system, os.exec*, os.fork)
+    network: true,     // Open network sockets and resolve host names
+    ctypes: true,      // Load native libraries and call foreign functions through ctypes
+};
+
+// Policy file kept inside each venv's directory, so it goes away with the venv
+const POLICY_FILE_NAME = 'pyrunner-policy.json';
+
+// Directory put first on PYTHONPATH for restricted runs, holding the sitecustomize.py that installs the guard
+const POLICY_GUARD_DIR = path.join(__dirname, 'policy-guard');
+
+// The guard reports violations as JSON lines on this file descriptor
+const SECURITY_FD = 3;
+
+// Exit code of a process stopped by the guard
+const POLICY_VIOLATION_EXIT_CODE = 86;
+
+// Installed as sitecustomize.py, so it runs before any user code, including in Python processes the code
+// starts. The policy comes as JSON in PYRUNNER_POLICY. Audit hooks cannot be removed once added; a
+// violation is reported and ends the process, so the code cannot catch it and carry on.
+const POLICY_GUARD = [
+    'import os, sys',
+    '',
+    'def _pyrunner_policy_guard(policy):',
+    '    import json, stat',
+    '    from _socket import AF_UNIX',
+    '',
+    '    write_flags = os.O_WRONLY | os.O_RDWR | os.O_APPEND | os.O_CREAT | os.O_TRUNC',
+    '    write_events = {',
+    '        "os.remove", "os.rename", "os.rmdir", "os.mkdir", "os.truncate", "os.symlink", "os.link",',
+    '        "os.chmod", "os.chown", "shutil.rmtree",',
+    '    }',
+    '    process_events = {',
+    '        "subprocess.Popen", "os.system", "os.exec", "os.spawn", "os.posix_spawn", "os.fork", "os.forkpty",',
+    '    }',
+    '    resolve_events = {',
+    '        "socket.getaddrinfo", "socket.gethostbyname", "socket.gethostbyname_ex",',
+    '        "socket.gethostbyaddr", "socket.getnameinfo",',
+    '    }',
+    '    address_events = {"socket.connect", "socket.bind", "socket.sendto", "socket.sendmsg"}',
+    '    ctypes_events = {',
+    '        "ctypes.dlsym", "ctypes.dlsym/handle", "ctypes.call_function", "ctypes.cdata", "ctypes.cdata/buffer",',
+    '        "ctypes.PyObj_FromPtr", "ctypes.string_at", "ctypes.wstring_at", "ctypes.set_errno",',
+    '    }',
+    '    report_fd = int(os.environ.get("PYRUNNER_SECURITY_FD") or -1)',
+    '',
+    '    if not policy["fileWrite"]:',
+    '        # Failed .pyc writes would otherwise count as violations',
+    '        sys.dont_write_bytecode = True',
+    '',
+    '    def violation(permission, event, detail):',
+    '        report = {"permission": permission, "event": event, "detail": detail}',
+    '        try:',
+    '            # The plugin passes a pipe (a socket pair under Node); never write into a file the code opened',
+    '            mode = os.fstat(report_fd).st_mode',
+    '            if stat.S_ISFIFO(mode) or stat.S_ISSOCK(mode):',
+    '                os.write(report_fd, (json.dumps(report) + "\\n").encode())',
+    '        except OSError:',
+    '            pass',
+    '        try:',
+    '            sys.stderr.write(f"PolicyViolation: {permission} is not allowed for this run ({event} {detail})\\n")',
+    '            sys.stderr.flush()',
+    '        finally:',
+    '            os._exit(' + POLICY_VIOLATION_EXIT_CODE + ')',
+    '',
+    '    def hook(event, args):',
+    '        if event == "open":',
+    '            # Descriptors that are already open (the kernel wraps its pipes this way) create no files',
+    '            writes = (args[2] or 0) & write_flags and not isinstance(args[0], int) and args[0] != os.devnull',
+    '            if writes and not policy["fileWrite"]:',
+    '                violation("fileWrite", event, repr(args[0]))',
+    '        elif event in write_events:',
+    '            if not policy["fileWrite"]:',
+    '                violation("fileWrite", event, repr(args[0]))',
+    '        elif event in process_events:',
+    '            if not policy["subprocess"]:',
+    '                target = args[1] if event in ("subprocess.Popen", "os.spawn") else args[0] if args else ""',
+    '                violation("subprocess", event, repr(target))',
+    '        elif event.startswith("socket."):',
+    '            if policy["network"]:',
+    '                return',
+    '            if event == "socket.__new__" and args[1] != AF_UNIX:',
+    '                violation("network", event, f"family={args[1]}")',
+    '            elif event in resolve_events:',
+    '                violation("network", event, repr(args[0]))',
+    '            elif event in address_events and isinstance(args[1], tuple):',
+    '                violation("network", event, repr(args[1]))',
+    '        elif event.startswith("ctypes."):',
+    '            if policy["ctypes"]:',
+    '                return',
+    '            # "import ctypes" opens the running process itself (name None); allow that much',
+    '            if event == "ctypes.dlopen" and args[0] is not None or event in ctypes_events:',
+    '                violation("ctypes", event, repr(args[0]) if args else "")',
+    '',
+    '    sys.addaudithook(hook)',
+    '',
+    'if os.environ.get("PYRUNNER_POLICY"):',
+    '    _pyrunner_policy_guard(__import__("json").loads(os.environ["PYRUNNER_POLICY"]))',
+    'del _pyrunner_policy_guard',
+    '',
+].join('\n');
+
+// Arguments for unshare(1) that give a process an empty network namespace, or null where that is not possible
+let networkNamespaceArgs = null;
+
+/**
+ * Write the guard's sitecustomize.py, replacing one from an older plugin version
+ */
+function writePolicyGuard() {
+    try {
+        fs.mkdirSync(POLICY_GUARD_DIR, { recursive: true });
+        fs.writeFileSync(path.join(POLICY_GUARD_DIR, 'sitecustomize.py'), POLICY_GUARD, 'utf-8');
+    } catch (err) {
+        console.error('[PyRunner] Failed to write policy guard:', err.message);
+    }
+}
+
+writePolicyGuard();
+
+/**
+ * Get a venv's policy
+ * @param {string} venvName - Name of the venv
+ * @returns {{fileWrite: boolean, subprocess: boolean, network: boolean, ctypes: boolean}}
+ */
+function getVenvPolicy(venvName) {
+    const policyFile = path.join(getVenvDir(venvName), POLICY_FILE_NAME);
+    try {
+        if (fs.existsSync(policyFile)) {
+            return { ...DEFAULT_POLICY, ...JSON.parse(fs.readFileSync(policyFile, 'utf-8')) };
+        }
+    } catch (err) {
+        // Fail closed: a policy that cannot be read must not grant everything
+        log.error('SECURITY', `Failed to read policy of venv: ${venvName}, denying all permissions`, { error: err.message });
+        return Object.fromEntries(Object.keys(DEFAULT_POLICY).map(permission => [permission, false]));
+    }
+    return { ...DEFAULT_POLICY };
+}
+
+/**
+ * Save a venv's policy
+ * @param {string} venvName - Name of the venv
+ * @param {object} policy - Permissions to change; the others keep their current value
+ * @returns {object} The venv's new policy
+ */
+function saveVenvPolicy(venvName, policy) {
+    const updated = { ...getVenvPolicy(venvName), ...policy };
+    fs.writeFileSync(path.join(getVenvDir(venvName), POLICY_FILE_NAME), JSON.stringify(updated, null, 2));
+    return updated;
+}
+
+/**
+ * Move venv network settings from network-config.json (older plugin versions) into venv policies
+ */
+function migrateNetworkConfig() {
+    const networkConfigFile = path.join(__dirname, 'network-config.json');
+    try {
+        if (!fs.existsSync(networkConfigFile)) return;
+        const { venvs = {} } = JSON.parse(fs.readFileSync(networkConfigFile, 'utf-8'));
+        for (const [venvName, network] of Object.entries(venvs)) {
+            if (network === 'off' && venvExists(venvName)) {
+                saveVenvPolicy(venvName, { network: false });
             }
-        });
+        }
+        fs.rmSync(networkConfigFile);
+    } catch (err) {
+        console.error('[PyRunner] Failed to migrate network config:', err.message);
+    }
+}
 
-        proc.on('error', (err) => {
-            clearTimeout(timeoutId);
-            log.error('SYSTEM', `Spawn error running pip in venv: ${venvName}`, { error: err.message });
-            reject(new Error('Failed to run pip: ' + err.message));
+migrateNetworkConfig();
+
+/**
+ * Find out whether processes can be put in a network namespace of their own
+ * Needs root or unprivileged user namespaces; unshare -r maps the user to root inside the namespace.
+ * @returns {Promise<void>}
+ */
+async function detectNetworkNamespaces() {
+    if (process.platform !== 'linux') {
+        return;
+    }
+    for (const args of [['-n'], ['-r', '-n']]) {
+        const works = await new Promise((resolve) => {
+            const proc = spawnProcess('unshare', [...args, 'true'], { timeout: 5000 });
+            proc.on('error', () => resolve(false));
+            proc.on('close', exitCode => resolve(exitCode === 0));
         });
-    });
+        if (works) {
+            networkNamespaceArgs = args;
+            log.info('SECURITY', 'Network namespaces are available for runs without network access', { unshare: args.join(' ') });
+            return;
+        }
+    }
+    log.warn('SECURITY', 'Network namespaces are not available; runs without network access cannot start processes');
 }
 
 /**
- * Check if pip is available for a venv
+ * Check a network setting from a request
+ * @param {*} network
+ * @returns {boolean}
+ */
+function isValidNetworkPolicy(network) {
+    return network === null || network === 'on' || network === 'off';
+}
+
+/**
+ * Get the policy of an execution: the venv's, with network access taken away when the run asks for network=off
+ * A run cannot grant itself a permission its venv's policy denies. Without network namespaces the audit hook
+ * cannot see what other programs do, so runs without network access may not start processes either.
  * @param {string} venvName - Name of the venv
- * @returns {Promise<boolean>}
+ * @param {string|null} [network] - 'off' to block the network for this run
+ * @returns {object}
  */
-function checkPipAvailable(venvName = 'default') {
-    return new Promise((resolve) => {
-        const pythonCmd = getVenvPython(venvName);
-        const proc = spawn(pythonCmd, ['-m', 'pip', '--version'], {
-            timeout: 10000,
-        });
+function getExecutionPolicy(venvName, network = null) {
+    const policy = getVenvPolicy(venvName);
+    const restricted = network === 'off' ? { ...policy, network: false } : policy;
+    if (!restricted.network && !networkNamespaceArgs) {
+        return { ...restricted, subprocess: false };
+    }
+    return restricted;
+}
 
-        proc.on('close', (code) => {
-            resolve(code === 0);
-        });
+/**
+ * Check whether a policy denies anything
+ * @param {object} policy
+ * @returns {boolean}
+ */
+function isRestrictedPolicy(policy) {
+    return Object.keys(DEFAULT_POLICY).some(permission => !policy[permission]);
+}
 
-        proc.on('error', () => {
-            resolve(false);
-        });
+/**
+ * Get the environment and stdio for a process under a policy
+ * @param {object} policy - From getExecutionPolicy()
+ * @param {string[]} pythonPath - PYTHONPATH entries the process needs besides the guard
+ * @returns {{env: object, stdio: Array|undefined}}
+ */
+function getPolicySpawnOptions(policy, pythonPath = []) {
+    if (!isRestrictedPolicy(policy)) {
+        return { env: pythonPath.length > 0 ? { PYTHONPATH: pythonPath.join(path.delimiter) } : {}, stdio: undefined };
+    }
+    return {
+        env: {
+            // First on the path, so a sitecustomize.py in the workspace or venv cannot replace the guard
+            PYTHONPATH: [POLICY_GUARD_DIR, ...pythonPath].join(path.delimiter),
+            PYRUNNER_POLICY: JSON.stringify(policy),
+            PYRUNNER_SECURITY_FD: String(SECURITY_FD),
+        },
+        stdio: ['pipe', 'pipe', 'pipe', 'pipe'],
+    };
+}
+
+/**
+ * Run a command in an empty network namespace when the policy denies network access and namespaces are available
+ * @param {{command: string, args: string[]}} command - From withResourceLimits()
+ * @param {object} policy - From getExecutionPolicy()
+ * @returns {{command: string, args: string[]}}
+ */
+function withPolicy(command, policy) {
+    if (policy.network || !networkNamespaceArgs) {
+        return command;
+    }
+    return { command: 'unshare', args: [...networkNamespaceArgs, '--', command.command, ...command.args] };
+}
+
+/**
+ * Log the violations the guard reports
+ * @param {import('child_process').ChildProcess} proc - Process started with getPolicySpawnOptions()
+ * @param {object} context - Added to each log entry, e.g. { venv }
+ * @param {function(object): void} [onViolation] - Called with { permission, event, detail }
+ */
+function watchSecurityReports(proc, context, onViolation = null) {
+    const stream = proc.stdio[SECURITY_FD];
+    if (!stream) {
+        return;
+    }
+    let buffer = '';
+    stream.setEncoding('utf8');
+    stream.on('error', () => {});
+    stream.on('data', (data) => {
+        buffer += data;
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.substring(0, newline);
+            buffer = buffer.substring(newline + 1);
+            let report;
+            try {
+                report = JSON.parse(line);
+            } catch {
+                continue;
+            }
+            const violation = { permission: String(report.permission), event: String(report.event), detail: maskSecrets(String(report.detail)) };
+            log.warn('SECURITY', `Policy violation: ${violation.permission} (${violation.event})`, { ...context, detail: violation.detail });
+            if (onViolation) onViolation(violation);
+        }
+    });
+}
+
+/**
+ * Describe a policy violation for the error of an execution
+ * @param {{permission: string, event: string, detail: string}} violation
+ * @returns {string}
+ */
+function describeViolation(violation) {
+    const actions = {
+        fileWrite: 'Writing files',
+        subprocess: 'Starting processes',
+        network: 'Network access',
+        ctypes: 'Using ctypes',
+    };
+    const action = actions[violation.permission] || violation.permission;
+    return `${action} is not allowed for this run: ${violation.event} ${violation.detail}`.trim();
+}
+
+// =============================================================================
+// AUTHORIZATION
+// =============================================================================
+
+// SillyTavern admins may use every endpoint. Other accounts need to be on an allowlist:
+// "execute" covers running code, sessions, jobs and workspace files, "manage" covers venvs and packages.
+// Server settings, secrets, venv policies and quotas are for admins only; users read only their own logs.
+let authConfig = {
+    execute: [], // Handles of non-admin users allowed to run code
+    manage: [],  // Handles of non-admin users allowed to manage venvs and packages
+};
+
+// Config file path
+const AUTH_CONFIG_FILE = path.join(__dirname, 'auth-config.json');
+
+// What each permission allows, for error messages
+const PERMISSION_DESCRIPTIONS = {
+    execute: 'run Python code on the server',
+    manage: 'manage venvs and packages',
+    admin: 'change PyRunner server settings',
+};
+
+/**
+ * Load the user allowlists from file
+ */
+function loadAuthConfig() {
+    try {
+        if (fs.existsSync(AUTH_CONFIG_FILE)) {
+            const saved = JSON.parse(fs.readFileSync(AUTH_CONFIG_FILE, 'utf-8'));
+            authConfig = { ...authConfig, ...saved };
+        }
+    } catch (err) {
+        console.error('[PyRunner] Failed to load auth config:', err.message);
+    }
+}
+
+/**
+ * Save the user allowlists to file
+ */
+function saveAuthConfig() {
+    try {
+        fs.writeFileSync(AUTH_CONFIG_FILE, JSON.stringify(authConfig, null, 2));
+    } catch (err) {
+        console.error('[PyRunner] Failed to save auth config:', err.message);
+    }
+}
+
+loadAuthConfig();
+
+/**
+ * Check that a value is a SillyTavern user handle. Handles name per-user directories, so they
+ * cannot contain path separators or start with a dot.
+ * @param {*} handle
+ * @returns {boolean}
+ */
+function isValidHandle(handle) {
+    return typeof handle === 'string' && /^[a-zA-Z0-9_-][a-zA-Z0-9_.-]{0,63}$/.test(handle);
+}
+
+/**
+ * Check that a value is a list of SillyTavern user handles
+ * @param {*} handles
+ * @returns {boolean}
+ */
+function isValidHandleList(handles) {
+    return Array.isArray(handles) && handles.every(isValidHandle);
+}
+
+/**
+ * Get the SillyTavern account a request was made by
+ * @param {object} req - Express request; SillyTavern sets req.user for logged-in accounts
+ * @returns {{handle: string|null, admin: boolean}}
+ */
+function getRequestUser(req) {
+    const profile = req.user?.profile;
+    const handle = isValidHandle(profile?.handle) ? profile.handle : null;
+    return {
+        handle,
+        admin: handle !== null && profile.admin === true,
+    };
+}
+
+/**
+ * Check whether a user has a permission
+ * @param {{handle: string|null, admin: boolean}} user
+ * @param {string} permission - 'execute', 'manage' or 'admin'
+ * @returns {boolean}
+ */
+function hasPermission(user, permission) {
+    if (user.admin) {
+        return true;
+    }
+    if (!user.handle || permission === 'admin') {
+        return false;
+    }
+    return (authConfig[permission] || []).includes(user.handle);
+}
+
+/**
+ * Describe what a user may do, for the status endpoint
+ * @param {{handle: string|null, admin: boolean}} user
+ * @returns {object}
+ */
+function describeAccess(user) {
+    return {
+        user: user.handle,
+        admin: user.admin,
+        execute: hasPermission(user, 'execute'),
+        manage: hasPermission(user, 'manage'),
+    };
+}
+
+/**
+ * Route middleware that lets a request through when its user has any of the given permissions,
+ * and answers 403 otherwise
+ * @param {...string} permissions - 'execute', 'manage' or 'admin'
+ * @returns {Function}
+ */
+function authorize(...permissions) {
+    return (req, res, next) => {
+        const user = getRequestUser(req);
+        if (permissions.some(permission => hasPermission(user, permission))) {
+            return next();
+        }
+        denyRequest(req, res, user, permissions);
+    };
+}
+
+/**
+ * Answer a request with 403 and log the attempt
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {{handle: string|null, admin: boolean}} user - See getRequestUser()
+ * @param {string[]} permissions - The permissions that would have allowed it
+ * @param {string} [reason] - Error message, defaults to one naming the first permission
+ */
+function denyRequest(req, res, user, permissions, reason = null) {
+    log.warn('AUTH', `Denied ${req.method} ${req.path} for user: ${user.handle || '(not logged in)'}`, { permissions, reason });
+    res.status(403).json({ error: reason || `Your account is not allowed to ${PERMISSION_DESCRIPTIONS[permissions[0]]}` });
+}
+
+// =============================================================================
+// USER NAMESPACES
+// =============================================================================
+
+// Each user has their own venvs, workspaces and logs. System venvs are shared: everyone allowed to
+// run code can use them, only admins can change them. A venv name means the user's own venv when
+// they have one of that name, otherwise the system venv.
+
+// Quotas for users other than admins (0 = unlimited). Disk usage counts the user's venvs and workspaces.
+let quotaConfig = {
+    maxVenvs: 5,
+    maxDiskMB: 2048,
+};
+
+// Config file path
+const QUOTA_CONFIG_FILE = path.join(__dirname, 'quota-config.json');
+
+/**
+ * Load quotas from file
+ */
+function loadQuotaConfig() {
+    try {
+        if (fs.existsSync(QUOTA_CONFIG_FILE)) {
+            const saved = JSON.parse(fs.readFileSync(QUOTA_CONFIG_FILE, 'utf-8'));
+            quotaConfig = { ...quotaConfig, ...saved };
+        }
+    } catch (err) {
+        console.error('[PyRunner] Failed to load quota config:', err.message);
+    }
+}
+
+/**
+ * Save quotas to file
+ */
+function saveQuotaConfig() {
+    try {
+        fs.writeFileSync(QUOTA_CONFIG_FILE, JSON.stringify(quotaConfig, null, 2));
+    } catch (err) {
+        console.error('[PyRunner] Failed to save quota config:', err.message);
+    }
+}
+
+loadQuotaConfig();
+
+/**
+ * Get the venv name used internally for a user's own venv
+ * @param {string} handle - User handle
+ * @param {string} name - Venv name as the user knows it
+ * @returns {string}
+ */
+function getUserVenvName(handle, name) {
+    return `${handle}/${name}`;
+}
+
+/**
+ * Check whether an internal venv name is a system venv
+ * @param {string} venvName
+ * @returns {boolean}
+ */
+function isSystemVenv(venvName) {
+    return !venvName.includes('/');
+}
+
+/**
+ * Get the name a user knows a venv by
+ * @param {string} venvName - Internal venv name
+ * @returns {string}
+ */
+function getVenvDisplayName(venvName) {
+    return venvName.split('/').pop();
+}
+
+/**
+ * Find the venv a user means by a name: their own venv of that name, otherwise the system venv
+ * @param {{handle: string, admin: boolean}} user - See getRequestUser()
+ * @param {*} name - Venv name from the request
+ * @returns {string|null} Internal venv name, or null if there is no such venv
+ */
+function resolveVenv(user, name) {
+    if (typeof name !== 'string' || !isValidVenvName(name)) {
+        return null;
+    }
+    const own = getUserVenvName(user.handle, name);
+    if (venvExists(own)) {
+        return own;
+    }
+    return venvExists(name) ? name : null;
+}
+
+/**
+ * List a user's own venvs
+ * @param {string} handle - User handle
+ * @returns {string[]} Venv names as the user knows them
+ */
+function listUserVenvs(handle) {
+    const dir = path.join(USER_VENVS_DIR, handle);
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+    return fs.readdirSync(dir).filter(name => isValidVenvName(name) && venvExists(getUserVenvName(handle, name)));
+}
+
+/**
+ * List the venvs a user can use; their own venvs hide system venvs of the same name
+ * @param {{handle: string, admin: boolean}} user - See getRequestUser()
+ * @returns {Array<{name: string, system: boolean}>}
+ */
+function listVenvsForUser(user) {
+    const own = listUserVenvs(user.handle);
+    return [
+        ...own.map(name => ({ name, system: false })),
+        ...listVenvs().filter(name => !own.includes(name)).map(name => ({ name, system: true })),
+    ].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Check whether a user may change a venv: their own venvs, and system venvs for admins
+ * @param {{handle: string, admin: boolean}} user - See getRequestUser()
+ * @param {string} venvName - Internal venv name
+ * @returns {boolean}
+ */
+function canChangeVenv(user, venvName) {
+    return user.admin || !isSystemVenv(venvName);
+}
+
+// Counted usage by user handle: { usage: Promise, countedAt }. Venvs with large packages hold tens of
+// thousands of files, so usage is counted in the background and kept until something changes it.
+// Files written by running code are picked up once the entry expires.
+const userUsageCache = new Map();
+const USAGE_CACHE_TTL = 5 * 60 * 1000;
+
+/**
+ * Add up the size of the files in a directory, without following symlinks
+ * @param {string} dir
+ * @returns {Promise<number>} Bytes
+ */
+async function getDirectorySize(dir) {
+    let total = 0;
+    const pending = [dir];
+    while (pending.length > 0) {
+        const current = pending.pop();
+        let entries;
+        try {
+            entries = await fs.promises.readdir(current, { withFileTypes: true });
+        } catch {
+            continue;
+        }
+        for (const entry of entries) {
+            const fullPath = path.join(current, entry.name);
+            if (entry.isDirectory()) {
+                pending.push(fullPath);
+            } else if (entry.isFile()) {
+                try {
+                    total += (await fs.promises.lstat(fullPath)).size;
+                } catch {
+                    // Deleted while counting
+                }
+            }
+        }
+    }
+    return total;
+}
+
+/**
+ * Get what a user uses of their quota, counting it if it is not cached
+ * @param {string} handle - User handle
+ * @returns {Promise<{venvs: number, diskBytes: number}>}
+ */
+function getUserUsage(handle) {
+    const cached = userUsageCache.get(handle);
+    if (cached && Date.now() - cached.countedAt < USAGE_CACHE_TTL) {
+        return cached.usage;
+    }
+
+    const usage = Promise.all([
+        getDirectorySize(path.join(USER_VENVS_DIR, handle)),
+        getDirectorySize(getUserWorkspacesDir(handle)),
+    ]).then(([venvBytes, workspaceBytes]) => ({
+        venvs: listUserVenvs(handle).length,
+        diskBytes: venvBytes + workspaceBytes,
+    }));
+    const entry = { usage, countedAt: Date.now() };
+    userUsageCache.set(handle, entry);
+    usage.catch(() => {
+        if (userUsageCache.get(handle) === entry) userUsageCache.delete(handle);
+    });
+    return usage;
+}
+
+/**
+ * Forget a user's counted usage after their venvs or files changed
+ * @param {string} handle - User handle
+ */
+function invalidateUserUsage(handle) {
+    userUsageCache.delete(handle);
+}
+
+/**
+ * Check whether a user may add to their venvs or files
+ * @param {{handle: string, admin: boolean}} user - See getRequestUser()
+ * @param {{venvs?: number, bytes?: number}} [adding] - What is about to be added
+ * @returns {Promise<string|null>} Why it is refused, or null if it fits the quota
+ */
+async function checkQuota(user, adding = {}) {
+    if (user.admin) {
+        return null;
+    }
+    const usage = await getUserUsage(user.handle);
+    if (adding.venvs && quotaConfig.maxVenvs && usage.venvs + adding.venvs > quotaConfig.maxVenvs) {
+        return `Venv quota reached: at most ${quotaConfig.maxVenvs} venvs per user`;
+    }
+    if (quotaConfig.maxDiskMB && usage.diskBytes + (adding.bytes || 0) > quotaConfig.maxDiskMB * 1024 * 1024) {
+        return `Disk quota exceeded: your venvs and workspaces can use ${quotaConfig.maxDiskMB} MB`;
+    }
+    return null;
+}
+
+// =============================================================================
+// SCRIPT FILES
+// =============================================================================
+
+// Code is written to a script file in a directory of its own; the process itself runs in a workspace
+let scriptConfig = {
+    workDir: path.join(__dirname, 'work'), // Parent of the per-execution directories
+    keepArtifacts: false,                  // Leave each execution's directory behind for debugging
+};
+
+// Config file path
+const SCRIPT_CONFIG_FILE = path.join(__dirname, 'script-config.json');
+
+// Name of the script file; the extension recognizes it in tracebacks
+const SCRIPT_FILE_NAME = 'pyrunner_script.py';
+
+/**
+ * Load script file settings from file
+ */
+function loadScriptConfig() {
+    try {
+        if (fs.existsSync(SCRIPT_CONFIG_FILE)) {
+            const saved = JSON.parse(fs.readFileSync(SCRIPT_CONFIG_FILE, 'utf-8'));
+            scriptConfig = { ...scriptConfig, ...saved };
+        }
+    } catch (err) {
+        console.error('[PyRunner] Failed to load script config:', err.message);
+    }
+}
+
+/**
+ * Save script file settings to file
+ */
+function saveScriptConfig() {
+    try {
+        fs.writeFileSync(SCRIPT_CONFIG_FILE, JSON.stringify(scriptConfig, null, 2));
+    } catch (err) {
+        console.error('[PyRunner] Failed to save script config:', err.message);
+    }
+}
+
+loadScriptConfig();
+
+/**
+ * Write code to a script file in a new execution directory
+ * @param {string} code - Python code
+ * @returns {{dir: string, file: string}}
+ */
+function createScriptFile(code) {
+    fs.mkdirSync(scriptConfig.workDir, { recursive: true });
+    const dir = fs.mkdtempSync(path.join(scriptConfig.workDir, 'run-'));
+    const file = path.join(dir, SCRIPT_FILE_NAME);
+    fs.writeFileSync(file, code, 'utf-8');
+    return { dir, file };
+}
+
+/**
+ * Delete an execution directory, unless artifacts are being kept
+ * @param {string} dir - Directory from createScriptFile()
+ */
+function removeScriptDir(dir) {
+    if (scriptConfig.keepArtifacts) {
+        log.info('SCRIPT', `Kept execution artifacts in ${dir}`);
+        return;
+    }
+    try {
+        fs.rmSync(dir, { recursive: true, force: true });
+    } catch (err) {
+        log.warn('SCRIPT', `Failed to remove execution directory: ${dir}`, { error: err.message });
+    }
+}
+
+// =============================================================================
+// WORKSPACES
+// =============================================================================
+
+// Working directories scripts run in, per user: workspaces/users/<handle>/venv/<venv> by default,
+// workspaces/users/<handle>/chat/<chat> per chat
+const WORKSPACES_DIR = path.join(__dirname, 'workspaces');
+const WORKSPACE_TYPES = ['venv', 'chat'];
+
+// Owner of the workspaces made before they were kept per user: the account of a single-user SillyTavern
+const LEGACY_WORKSPACE_OWNER = 'default-user';
+
+/**
+ * Check that a workspace type and name are valid
+ * @param {string} type - 'venv' or 'chat'
+ * @param {string} name - Venv name or chat workspace name
+ * @returns {boolean}
+ */
+function isValidWorkspace(type, name) {
+    if (type === 'venv') {
+        return isValidVenvName(name);
+    }
+    return type === 'chat' && /^[a-zA-Z0-9_-]{1,64}$/.test(name);
+}
+
+/**
+ * Get the directory holding a user's workspaces
+ * @param {string} owner - User handle
+ * @returns {string}
+ */
+function getUserWorkspacesDir(owner) {
+    return path.join(WORKSPACES_DIR, 'users', owner);
+}
+
+/**
+ * Get a workspace's directory, creating it if needed
+ * @param {string} owner - Handle of the user the workspace belongs to
+ * @param {string} type - 'venv' or 'chat'
+ * @param {string} name - Venv name or chat workspace name
+ * @returns {string}
+ */
+function getWorkspaceDir(owner, type, name) {
+    if (!isValidWorkspace(type, name)) {
+        throw new Error(`Invalid ${type} workspace name: ${name}`);
+    }
+    const dir = path.join(getUserWorkspacesDir(owner), type, name);
+    fs.mkdirSync(dir, { recursive: true });
+    return dir;
+}
+
+/**
+ * Move workspaces from before they were kept per user to the single-user account
+ */
+function migrateLegacyWorkspaces() {
+    for (const type of WORKSPACE_TYPES) {
+        const legacyDir = path.join(WORKSPACES_DIR, type);
+        const targetDir = path.join(getUserWorkspacesDir(LEGACY_WORKSPACE_OWNER), type);
+        if (!fs.existsSync(legacyDir)) continue;
+        if (fs.existsSync(targetDir)) {
+            log.warn('SYSTEM', `Not moving workspaces, the target already exists: ${targetDir}`, { legacyDir });
+            continue;
+        }
+        try {
+            fs.mkdirSync(path.dirname(targetDir), { recursive: true });
+            fs.renameSync(legacyDir, targetDir);
+            log.info('SYSTEM', `Moved ${type} workspaces to user: ${LEGACY_WORKSPACE_OWNER}`, { from: legacyDir, to: targetDir });
+        } catch (err) {
+            log.error('SYSTEM', `Failed to move ${type} workspaces`, { error: err.message });
+        }
+    }
+}
+
+/**
+ * Check whether a path is a workspace root or inside it
+ * @param {string} root
+ * @param {string} target
+ * @returns {boolean}
+ */
+function isInsideDir(root, target) {
+    return target === root || target.startsWith(root + path.sep);
+}
+
+/**
+ * Resolve a path relative to a workspace, refusing paths that lead out of it
+ * Symlinks are followed, so a link inside the workspace cannot point elsewhere either.
+ * @param {string} root - Workspace directory
+ * @param {string} relativePath - Path from the client
+ * @returns {string} - Absolute path
+ */
+function resolveWorkspacePath(root, relativePath) {
+    const target = path.resolve(root, String(relativePath ?? ''));
+    if (!isInsideDir(root, target)) {
+        throw new Error(`Path is outside the workspace: ${relativePath}`);
+    }
+
+    let existing = target;
+    while (!fs.existsSync(existing)) {
+        existing = path.dirname(existing);
+    }
+    if (!isInsideDir(fs.realpathSync(root), fs.realpathSync(existing))) {
+        throw new Error(`Path is outside the workspace: ${relativePath}`);
+    }
+    return target;
+}
+
+/**
+ * Recursively list the files in a workspace
+ * @param {string} root - Workspace directory
+ * @param {string} [dir] - Directory being listed
+ * @param {Array} [files] - Accumulated results
+ * @returns {Array<{path: string, size: number, modified: string}>} - Paths use forward slashes
+ */
+function listWorkspaceFiles(root, dir = root, files = []) {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            listWorkspaceFiles(root, fullPath, files);
+        } else if (entry.isFile()) {
+            const stat = fs.statSync(fullPath);
+            files.push({
+                path: path.relative(root, fullPath).split(path.sep).join('/'),
+                size: stat.size,
+                modified: stat.mtime.toISOString(),
+            });
+        }
+    }
+    return files;
+}
+
+/**
+ * List the workspaces of a user
+ * @param {string} owner - User handle
+ * @returns {Array<{type: string, name: string}>}
+ */
+function listWorkspaces(owner) {
+    const workspaces = [];
+    for (const type of WORKSPACE_TYPES) {
+        const typeDir = path.join(getUserWorkspacesDir(owner), type);
+        if (!fs.existsSync(typeDir)) continue;
+        for (const entry of fs.readdirSync(typeDir, { withFileTypes: true })) {
+            if (entry.isDirectory() && isValidWorkspace(type, entry.name)) {
+                workspaces.push({ type, name: entry.name });
+            }
+        }
+    }
+    return workspaces;
+}
+
+/**
+ * Get the working directory for an execution
+ * @param {string} owner - Handle of the user running the code
+ * @param {string} venvName - Name of the venv
+ * @param {string|null} chat - Chat workspace name, or null for the venv's workspace
+ * @returns {string}
+ */
+function getExecutionWorkspace(owner, venvName, chat) {
+    return chat ? getWorkspaceDir(owner, 'chat', chat) : getWorkspaceDir(owner, 'venv', getVenvDisplayName(venvName));
+}
+
+// =============================================================================
+// SECRETS
+// =============================================================================
+
+// Secret values are stored encrypted with AES-256-GCM. The key is derived from the PYRUNNER_SECRETS_KEY
+// environment variable when it is set, otherwise read from a random key file created on first save.
+const SECRETS_FILE = path.join(__dirname, 'secrets.enc.json');
+const SECRETS_KEY_FILE = path.join(__dirname, 'secrets.key');
+const SECRETS_KEY_ENV = 'PYRUNNER_SECRETS_KEY';
+
+// Values shorter than this are not masked in output, since that would mangle ordinary text
+const MIN_MASKED_SECRET_LENGTH = 4;
+const MASKED_SECRET = '[secret]';
+
+// Decrypted secrets by name: { value, venvs, updatedAt }, loaded on first use
+let secretsStore = null;
+
+/**
+ * Check that a secret name is usable as an environment variable name
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isValidSecretName(name) {
+    return typeof name === 'string' && /^[A-Za-z_][A-Za-z0-9_]{0,127}$/.test(name);
+}
+
+/**
+ * Check a list of secret names from a request
+ * @param {*} names
+ * @returns {boolean}
+ */
+function isValidSecretList(names) {
+    return Array.isArray(names) && names.every(isValidSecretName);
+}
+
+/**
+ * Get the encryption key for the secrets file
+ * @param {Buffer} salt - Salt for deriving the key from the passphrase
+ * @returns {Buffer}
+ */
+function getSecretsKey(salt) {
+    const passphrase = process.env[SECRETS_KEY_ENV];
+    if (passphrase) {
+        return crypto.scryptSync(passphrase, salt, 32);
+    }
+    if (!fs.existsSync(SECRETS_KEY_FILE)) {
+        fs.writeFileSync(SECRETS_KEY_FILE, crypto.randomBytes(32).toString('hex'), { mode: 0o600 });
+    }
+    return Buffer.from(fs.readFileSync(SECRETS_KEY_FILE, 'utf-8').trim(), 'hex');
+}
+
+/**
+ * Load and decrypt the secrets file
+ * @returns {object} - Secrets by name
+ */
+function loadSecrets() {
+    if (secretsStore) {
+        return secretsStore;
+    }
+    if (!fs.existsSync(SECRETS_FILE)) {
+        secretsStore = {};
+        return secretsStore;
+    }
+
+    try {
+        const stored = JSON.parse(fs.readFileSync(SECRETS_FILE, 'utf-8'));
+        const key = getSecretsKey(Buffer.from(stored.salt, 'hex'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(stored.iv, 'hex'));
+        decipher.setAuthTag(Buffer.from(stored.tag, 'hex'));
+        const data = Buffer.concat([decipher.update(Buffer.from(stored.data, 'base64')), decipher.final()]);
+        secretsStore = JSON.parse(data.toString('utf-8'));
+        return secretsStore;
+    } catch (err) {
+        log.error('SYSTEM', 'Failed to decrypt the secrets file', { error: err.message });
+        throw new Error(`Cannot decrypt the secrets file. Check ${SECRETS_KEY_ENV} or secrets.key.`);
+    }
+}
+
+/**
+ * Encrypt and save the secrets, with a fresh salt and IV
+ * @param {object} store - Secrets by name
+ */
+function saveSecrets(store) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getSecretsKey(salt), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(store), 'utf-8'), cipher.final()]);
+    const stored = {
+        version: 1,
+        salt: salt.toString('hex'),
+        iv: iv.toString('hex'),
+        tag: cipher.getAuthTag().toString('hex'),
+        data: data.toString('base64'),
+    };
+    fs.writeFileSync(SECRETS_FILE, JSON.stringify(stored, null, 2), { mode: 0o600 });
+    secretsStore = store;
+}
+
+/**
+ * Describe the stored secrets without their values
+ * @returns {Array<{name: string, venvs: string[], updatedAt: string}>}
+ */
+function listSecrets() {
+    return Object.entries(loadSecrets())
+        .map(([name, secret]) => ({ name, venvs: secret.venvs, updatedAt: secret.updatedAt }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get the environment variables for an execution: the venv's secrets plus any requested by name.
+ * The venvs a secret is given to are system venvs; user venvs never get secrets that way, not even
+ * one named like a system venv. Like secrets requested by name, they only go to admins' runs, since
+ * the code could print a secret in a form the masker does not catch.
+ * @param {string} venvName - Internal name of the venv (see getUserVenvName())
+ * @param {string[]} names - Secrets requested for this execution (e.g. by a saved function)
+ * @param {{handle: string, admin: boolean}} user - Account running the code
+ * @returns {object} - Environment variables by name
+ */
+function getSecretEnv(venvName, names, user) {
+    if (names.length === 0 && !fs.existsSync(SECRETS_FILE)) {
+        return {};
+    }
+    const store = loadSecrets();
+    const missing = names.filter(name => !store[name]);
+    if (missing.length > 0) {
+        throw new Error(`Secret not defined: ${missing.join(', ')}`);
+    }
+
+    const env = {};
+    for (const [name, secret] of Object.entries(store)) {
+        if (names.includes(name) || (user.admin && isSystemVenv(venvName) && secret.venvs.includes(venvName))) {
+            env[name] = secret.value;
+        }
+    }
+    return env;
+}
+
+/**
+ * Mask the values of all loaded secrets in a piece of text
+ * @param {string} text
+ * @returns {string}
+ */
+function maskSecrets(text) {
+    if (!text || !secretsStore) {
+        return text;
+    }
+    return createSecretMasker(Object.values(secretsStore).map(secret => secret.value)).mask(text);
+}
+
+/**
+ * Create a filter that masks secret values in streamed text
+ * Text that could be the start of a secret split across chunks is held back until the next push() or flush().
+ * @param {string[]} values - Secret values to mask
+ * @returns {{push: function(string): string, flush: function(): string, mask: function(string): string}}
+ */
+function createSecretMasker(values) {
+    // JSON results and prompts carry the values escaped, so mask that form too
+    const masked = [...new Set(values.flatMap(value => [value, JSON.stringify(value).slice(1, -1)]))]
+        .filter(value => value.length >= MIN_MASKED_SECRET_LENGTH)
+        .sort((a, b) => b.length - a.length);
+    const mask = (text) => masked.reduce((result, value) => result.split(value).join(MASKED_SECRET), text);
+    let held = '';
+
+    return {
+        push(text) {
+            if (masked.length === 0) return text;
+            const result = mask(held + text);
+            let hold = 0;
+            for (const value of masked) {
+                for (let length = Math.min(value.length - 1, result.length); length > hold; length--) {
+                    if (result.endsWith(value.substring(0, length))) {
+                        hold = length;
+                        break;
+                    }
+                }
+            }
+            held = result.substring(result.length - hold);
+            return result.substring(0, result.length - hold);
+        },
+        flush() {
+            const rest = held;
+            held = '';
+            return rest;
+        },
+        mask,
+    };
+}
+
+// Marker written before the JSON value of a trailing expression
+const RESULT_MARKER = '\x00PYRUNNER_RESULT:';
+
+// Marker line written when the code calls input(), followed by the prompt as JSON
+const INPUT_MARKER = '\x00PYRUNNER_INPUT:';
+
+// Wrapper that runs the script file in argv[1] as __main__, with options as JSON in argv[2]:
+// async - false to reject top-level await; otherwise code that compiles to a coroutine
+//     (top-level await, async for or async with) runs in an asyncio event loop (Python 3.8+)
+// result - write the value of a trailing expression as JSON after RESULT_MARKER
+// input - announce input() calls with INPUT_MARKER so the answer can be asked for
+const CODE_RUNNER = [
+    'import ast, asyncio, builtins, json, sys, traceback, types',
+    'path, options = sys.argv[1], json.loads(sys.argv.pop(2))',
+    'sys.argv.pop(0)',
+    '# A real __main__ module with __file__ lets multiprocessing re-import the script in its children',
+    'main = types.ModuleType("__main__")',
+    'main.__file__ = path',
+    'main.__builtins__ = __builtins__',
+    'sys.modules["__main__"] = main',
+    'namespace = main.__dict__',
+    'with open(path, encoding="utf-8") as file:',
+    '    source = file.read()',
+    'if options.get("input"):',
+    '    def ask(prompt=""):',
+    '        sys.stdout.write(str(prompt) + "\\x00PYRUNNER_INPUT:" + json.dumps(str(prompt)) + "\\n")',
+    '        sys.stdout.flush()',
+    '        line = sys.stdin.readline()',
+    '        if not line:',
+    '            raise EOFError("EOF when reading a line")',
+    '        return line[:-1] if line.endswith("\\n") else line',
+    '    builtins.input = ask',
+    'try:',
+    '    tree = ast.parse(source, path)',
+    '    if options["result"] and tree.body and isinstance(tree.body[-1], ast.Expr):',
+    '        target = ast.Name("__pyrunner_result__", ast.Store())',
+    '        tree.body[-1] = ast.copy_location(ast.Assign([target], tree.body[-1].value), tree.body[-1])',
+    '        ast.fix_missing_locations(tree)',
+    '    flags = 0 if options["async"] is False else ast.PyCF_ALLOW_TOP_LEVEL_AWAIT',
+    '    code = compile(tree, path, "exec", flags=flags)',
+    'except SyntaxError as error:',
+    '    traceback.print_exception(type(error), error, None)',
+    '    sys.exit(1)',
+    'try:',
+    '    result = eval(code, namespace)',
+    '    if asyncio.iscoroutine(result):',
+    '        asyncio.run(result)',
+    'except Exception as error:',
+    '    # Drop the wrapper frames so the traceback matches a plain run',
+    '    tb = error.__traceback__',
+    '    while tb and tb.tb_frame.f_globals is not namespace:',
+    '        tb = tb.tb_next',
+    '    # ...including helpers such as input() at the end',
+    '    frame = tb',
+    '    while frame and frame.tb_next:',
+    '        if frame.tb_next.tb_frame.f_globals is globals():',
+    '            frame.tb_next = None',
+    '        else:',
+    '            frame = frame.tb_next',
+    '    traceback.print_exception(type(error), error, tb)',
+    '    sys.exit(1)',
+    'value = namespace.get("__pyrunner_result__")',
+    'if value is not None:',
+    '    default = lambda o: list(o) if isinstance(o, (set, frozenset)) else str(o)',
+    '    sys.stdout.write("\\x00PYRUNNER_RESULT:" + json.dumps(value, default=default))',
+].join('\n');
+
+/**
+ * Split the JSON result written by CODE_RUNNER off the end of stdout
+ * @param {string} stdout - Process output
+ * @returns {{output: string, result: string|null}}
+ */
+function splitResult(stdout) {
+    const index = stdout.lastIndexOf(RESULT_MARKER);
+    if (index === -1) {
+        return { output: stdout, result: null };
+    }
+    return {
+        output: stdout.substring(0, index),
+        result: stdout.substring(index + RESULT_MARKER.length),
+    };
+}
+
+// Running executions keyed by client run ID, so they can be aborted
+const runningExecutions = new Map();
+
+/**
+ * Abort a running execution by killing its process
+ * @param {string} runId - Client run ID
+ * @param {string} [owner] - Only abort it if it was started by this user handle
+ * @returns {boolean} - True if a running execution was found
+ */
+function abortExecution(runId, owner = null) {
+    const execution = runningExecutions.get(runId);
+    if (!execution || (owner && execution.owner !== owner)) {
+        return false;
+    }
+    execution.abort();
+    return true;
+}
+
+/**
+ * Answer an input() call of a running interactive execution
+ * @param {string} runId - Client run ID
+ * @param {string|null} text - The line to send, or null to close stdin (input() raises EOFError)
+ * @param {string} owner - Handle of the user answering; only their own executions take input
+ * @returns {boolean} - True if a running interactive execution was found
+ */
+function provideInput(runId, text, owner) {
+    const execution = runningExecutions.get(runId);
+    if (!execution?.input || execution.owner !== owner) {
+        return false;
+    }
+    execution.input(text);
+    return true;
+}
+
+/**
+ * Execute Python code in a venv
+ * @param {string} code - Python code
+ * @param {number} timeout - Timeout in ms
+ * @param {string} venvName - Name of the venv
+ * @param {object} options
+ * @param {{handle: string, admin: boolean}} options.user - Account running the code, see getRequestUser().
+ *     Its workspaces are used and the run is logged to its log.
+ * @param {string} [options.runId] - Client run ID, used to abort the execution
+ * @param {boolean|null} [options.isAsync] - Run inside an asyncio event loop (top-level await);
+ *     null lets the runner decide by compiling the code
+ * @param {boolean} [options.captureResult] - Return the value of a trailing expression as JSON
+ * @param {function(string, string): void} [options.onOutput] - Called with ('stdout' | 'stderr', text) as output arrives
+ * @param {string} [options.stdin] - Data for the process's stdin
+ * @param {function(string): void} [options.onInput] - Called with the prompt when the code calls input();
+ *     answer with provideInput(). Without it stdin is closed after options.stdin, so input() raises EOFError.
+ * @param {object} [options.limits] - Resource limits, defaults to getResourceLimits()
+ * @param {string} [options.chat] - Run in this chat's workspace instead of the venv's
+ * @param {string[]} [options.secrets] - Secrets to set as environment variables, on top of the venv's own.
+ *     Their values are masked in everything the run outputs.
+ * @param {string} [options.network] - 'off' to block network access, on top of the venv's policy
+ * @returns {Promise<{output: string, error: string|null, result?: string|null, limit?: string, violation?: object}>}
+ *     limit names the resource limit that stopped the run; error holds the traceback, which the extension parses;
+ *     violation is the { permission, event, detail } the venv's policy stopped
+ */
+function executePython(code, timeout = 30000, venvName = 'default', options = {}) {
+    const {
+        user,
+        runId = null,
+        isAsync = null,
+        captureResult = false,
+        onOutput = null,
+        stdin = null,
+        onInput = null,
+        limits = getResourceLimits(),
+        chat = null,
+        secrets = [],
+        network: requestedNetwork = null,
+    } = options;
+    const runLog = getUserLog(user);
+    return new Promise((resolve, reject) => {
+        const pythonCmd = getVenvPython(venvName);
+        const codePreview = code.length > 100 ? code.substring(0, 100) + '...' : code;
+        runLog.debug('SCRIPT', `Executing Python code in venv: ${venvName}`, { codePreview, timeout, isAsync });
+
+        let secretEnv;
+        try {
+            secretEnv = getSecretEnv(venvName, secrets, user);
+        } catch (err) {
+            reject(err);
+            return;
+        }
+
+        let workspace;
+        let script;
+        try {
+            workspace = getExecutionWorkspace(user.handle, venvName, chat);
+            script = createScriptFile(code);
+        } catch (err) {
+            log.error('SYSTEM', 'Failed to write script file', { workDir: scriptConfig.workDir, error: err.message });
+            reject(new Error('Failed to write script file: ' + err.message));
+            return;
+        }
+
+        // Only code that mentions await or async can need the event loop; the runner compiles it to tell
+        const mayAwait = isAsync === true || (isAsync === null && /\b(await|async)\b/.test(code));
+        const args = mayAwait || captureResult || onInput
+            ? ['-c', CODE_RUNNER, script.file, JSON.stringify({ async: isAsync, result: captureResult, input: Boolean(onInput) })]
+            : [script.file];
+        const policy = getExecutionPolicy(venvName, requestedNetwork);
+        const command = withPolicy(withResourceLimits(pythonCmd, args, limits), policy);
+        // Modules in the workspace stay importable although the script lives elsewhere
+        const policyOptions = getPolicySpawnOptions(policy, [workspace, process.env.PYTHONPATH].filter(Boolean));
+        const proc = spawnProcess(command.command, command.args, {
+            cwd: workspace,
+            // Unbuffered output lets streamed runs show each print as it happens
+            env: {
+                ...process.env,
+                ...secretEnv,
+                PYTHONIOENCODING: 'utf-8',
+                ...policyOptions.env,
+                ...(onOutput && { PYTHONUNBUFFERED: '1' }),
+            },
+            stdio: policyOptions.stdio,
+        });
+        let violation = null;
+        watchSecurityReports(proc, { venv: venvName, user: user.handle, codePreview }, (reported) => {
+            violation = violation || reported;
+        });
+
+        // Mask secret values the script prints as they are; encoded forms get through
+        const stdoutMasker = createSecretMasker(Object.values(secretEnv));
+        const stderrMasker = createSecretMasker(Object.values(secretEnv));
+
+        let stdout = '';
+        let stderr = '';
+        let aborted = false;
+        let outputBytes = 0;
+        let outputLimitHit = false;
+        const maxOutputBytes = limitsConfig.maxOutputKB * 1024;
+
+        // Keep stdout + stderr within maxOutputBytes, stopping the process once it goes over
+        const capOutput = (data) => {
+            if (outputLimitHit) return '';
+            const bytes = Buffer.byteLength(data, 'utf8');
+            if (!maxOutputBytes || outputBytes + bytes <= maxOutputBytes) {
+                outputBytes += bytes;
+                return data;
+            }
+            outputLimitHit = true;
+            signalProcessTree(proc.pid, 'SIGKILL');
+            const kept = truncateBytes(data, maxOutputBytes - outputBytes);
+            outputBytes = maxOutputBytes;
+            return kept;
+        };
+
+        // Writes after the process exited are reported by 'close'
+        proc.stdin.on('error', () => {});
+        if (stdin) {
+            proc.stdin.write(stdin);
+        }
+        // Interactive runs keep stdin open for answers; otherwise input() sees EOF instead of hanging
+        if (!onInput) {
+            proc.stdin.end();
+        }
+
+        if (runId) {
+            runningExecutions.set(runId, {
+                owner: user.handle,
+                abort: () => {
+                    aborted = true;
+                    terminateProcessTree(proc);
+                },
+                input: onInput && ((text) => {
+                    if (text === null) {
+                        proc.stdin.end();
+                    } else {
+                        proc.stdin.write(text + '\n');
+                    }
+                }),
+            });
+        }
+
+        // Decode as UTF-8 streams so multi-byte characters split across chunks survive
+        proc.stdout.setEncoding('utf8');
+        proc.stderr.setEncoding('utf8');
+
+        let streamed = 0;
+        const appendStdout = (data) => {
+            stdout += data;
+            if (onOutput) {
+                // Hold back the JSON result that follows RESULT_MARKER
+                const markerIndex = captureResult ? stdout.indexOf(RESULT_MARKER[0], streamed) : -1;
+                const end = markerIndex === -1 ? stdout.length : markerIndex;
+                if (end > streamed) {
+                    onOutput('stdout', stdout.substring(streamed, end));
+                    streamed = end;
+                }
+            }
+        };
+
+        // Cut INPUT_MARKER lines out of stdout, holding back anything from a \x00 until its line is complete
+        let pendingStdout = '';
+        const takeInputRequests = (data) => {
+            pendingStdout += data;
+            let index;
+            while ((index = pendingStdout.indexOf(INPUT_MARKER)) !== -1) {
+                const end = pendingStdout.indexOf('\n', index);
+                if (end === -1) break;
+                // The prompt text comes before the request, like on a terminal
+                appendStdout(pendingStdout.substring(0, index));
+                onInput(JSON.parse(pendingStdout.substring(index + INPUT_MARKER.length, end)));
+                pendingStdout = pendingStdout.substring(end + 1);
+            }
+            const hold = pendingStdout.indexOf(INPUT_MARKER[0]);
+            appendStdout(hold === -1 ? pendingStdout : pendingStdout.substring(0, hold));
+            pendingStdout = hold === -1 ? '' : pendingStdout.substring(hold);
+        };
+
+        const takeStdout = (data) => {
+            if (!data) return;
+            if (onInput) {
+                takeInputRequests(data);
+            } else {
+                appendStdout(data);
+            }
+        };
+        const takeStderr = (data) => {
+            if (!data) return;
+            stderr += data;
+            if (onOutput) onOutput('stderr', data);
+        };
+
+        proc.stdout.on('data', (chunk) => takeStdout(stdoutMasker.push(capOutput(chunk))));
+        proc.stderr.on('data', (chunk) => takeStderr(stderrMasker.push(capOutput(chunk))));
+
+        const timeoutId = setTimeout(() => {
+            terminateProcessTree(proc);
+            runLog.error('SCRIPT', `Execution timed out in venv: ${venvName}`, { timeout, codePreview });
+            reject(new Error('Execution timed out'));
+        }, timeout);
+
+        proc.on('close', (exitCode, signal) => {
+            clearTimeout(timeoutId);
+            if (runId) runningExecutions.delete(runId);
+            removeScriptDir(script.dir);
+            takeStdout(stdoutMasker.flush());
+            takeStderr(stderrMasker.flush());
+            if (pendingStdout) {
+                appendStdout(pendingStdout);
+            }
+            const limit = outputLimitHit ? 'output' : detectLimit(signal, stderr, limits);
+            if (aborted) {
+                runLog.warn('SCRIPT', `Execution aborted in venv: ${venvName}`, { runId, codePreview });
+                resolve({ output: stdout.trim(), error: 'Execution aborted' });
+            } else if (violation) {
+                const { output } = splitResult(stdout);
+                resolve({ output: output.trim(), error: describeViolation(violation), violation });
+            } else if (limit) {
+                runLog.warn('SCRIPT', `Resource limit hit in venv: ${venvName}`, { limit, signal, codePreview });
+                // Drop a result marker cut off by truncation
+                const output = stdout.split(RESULT_MARKER[0])[0];
+                const error = [stderr.trim(), describeLimit(limit)].filter(Boolean).join('\n');
+                resolve({ output: output.trim(), error, limit });
+            } else if (exitCode !== 0 && stderr) {
+                runLog.error('SCRIPT', `Script execution failed in venv: ${venvName}`, {
+                    exitCode,
+                    error: stderr.trim(),
+                    codePreview,
+                });
+                resolve({ output: stdout, error: stderr.trim() });
+            } else {
+                runLog.info('SCRIPT', `Script executed successfully in venv: ${venvName}`, {
+                    exitCode,
+                    outputLength: stdout.length,
+                });
+                const { output, result } = splitResult(stdout);
+                resolve({ output: output.trim(), error: null, result });
+            }
+        });
+
+        proc.on('error', (err) => {
+            clearTimeout(timeoutId);
+            if (runId) runningExecutions.delete(runId);
+            removeScriptDir(script.dir);
+            log.error('SYSTEM', `Spawn error executing Python in venv: ${venvName}`, { error: err.message });
+            reject(new Error('Failed to execute Python: ' + err.message));
+        });
+    });
+}
+
+/**
+ * Install packages into a venv with pip
+ * @param {string} packages - Space-separated package specifiers
+ * @param {number} [timeout] - Timeout in ms
+ * @param {string} [venvName] - Name of the venv
+ * @param {object} [userLog] - Log of the user installing them, see getUserLog()
+ * @returns {Promise<{output: string, error: string|null}>}
+ */
+function pipInstall(packages, timeout = 120000, venvName = 'default', userLog = log) {
+    return new Promise((resolve, reject) => {
+        const pythonCmd = getVenvPython(venvName);
+        const packageList = packages.split(/\s+/).filter(p => p);
+        userLog.info('PACKAGE', `Installing packages in venv: ${venvName}`, { packages: packageList });
+
+        const args = ['-m', 'pip', 'install', ...packageList];
+        const proc = spawnProcess(pythonCmd, args, {
+            env: { ...process.env, PYTHONIOENCODING: 'utf-8' },
+        });
+
+        let stdout = '';
+        let stderr = '';
+
+        proc.stdout.on('data', (data) => { stdout += data.toString(); });
+        proc.stderr.on('data', (data) => { stderr += data.toString(); });
+
+        const timeoutId = setTimeout(() => {
+            terminateProcessTree(proc);
+            userLog.error('PACKAGE', `Package installation timed out in venv: ${venvName}`, { packages: packageList, timeout });
+            reject(new Error('Installation timed out'));
+        }, timeout);
+
+        proc.on('close', (exitCode) => {
+            clearTimeout(timeoutId);
+            if (exitCode !== 0) {
+                const error = stderr.trim() || 'Installation failed';
+                userLog.error('PACKAGE', `Package installation failed in venv: ${venvName}`, { packages: packageList, exitCode, error });
+                resolve({ output: stdout, error });
+            } else {
+                userLog.info('PACKAGE', `Packages installed successfully in venv: ${venvName}`, { packages: packageList });
+                resolve({ output: stdout.trim(), error: null });
+            }
+        });
+
+        proc.on('error', (err) => {
+            clearTimeout(timeoutId);
+            log.error('SYSTEM', `Spawn error running pip in venv: ${venvName}`, { error: err.message });
+            reject(new Error('Failed to run pip: ' + err.message));
+        });
+    });
+}
+
+/**
+ * Check if pip is available for a venv
+ * @param {string} venvName - Name of the venv
+ * @returns {Promise<boolean>}
+ */
+function checkPipAvailable(venvName = 'default') {
+    return new Promise((resolve) => {
+        const pythonCmd = getVenvPython(venvName);
+        const proc = spawnProcess(pythonCmd, ['-m', 'pip', '--version'], {
+            timeout: 10000,
+        });
+
+        proc.on('close', (code) => {
+            resolve(code === 0);
+        });
+
+        proc.on('error', () => {
+            resolve(false);
+        });
+    });
+}
+
+// =============================================================================
+// KERNEL SESSIONS
+// =============================================================================
+
+// Sessions without an execution for this long are shut down
+const SESSION_IDLE_TIMEOUT = 30 * 60 * 1000;
+
+// Long-lived interpreter that reads one JSON request per line on stdin and writes
+// one JSON reply per line on stdout. Globals and the event loop persist between requests.
+const KERNEL_SOURCE = [
+    'import ast, asyncio, json, os, reprlib, sys, traceback',
+    'from contextlib import redirect_stderr, redirect_stdout',
+    'from io import StringIO',
+    '',
+    '# Keep the protocol streams private: input() sees EOF, stray fd 1 writes go to stderr',
+    'commands = os.fdopen(os.dup(0), "r", encoding="utf-8")',
+    'replies = os.fdopen(os.dup(1), "w", encoding="utf-8")',
+    'os.dup2(os.open(os.devnull, os.O_RDONLY), 0)',
+    'os.dup2(2, 1)',
+    '',
+    'namespace = {"__name__": "__main__", "__builtins__": __builtins__}',
+    'loop = asyncio.new_event_loop()',
+    '',
+    'def run(request):',
+    '    tree = ast.parse(request["code"], "<string>")',
+    '    capture = request.get("result") and tree.body and isinstance(tree.body[-1], ast.Expr)',
+    '    if capture:',
+    '        target = ast.Name("__pyrunner_result__", ast.Store())',
+    '        tree.body[-1] = ast.copy_location(ast.Assign([target], tree.body[-1].value), tree.body[-1])',
+    '        ast.fix_missing_locations(tree)',
+    '    result = eval(compile(tree, "<string>", "exec", flags=ast.PyCF_ALLOW_TOP_LEVEL_AWAIT), namespace)',
+    '    if asyncio.iscoroutine(result):',
+    '        loop.run_until_complete(result)',
+    '    value = namespace.pop("__pyrunner_result__", None) if capture else None',
+    '    if value is None:',
+    '        return None',
+    '    return json.dumps(value, default=lambda o: list(o) if isinstance(o, (set, frozenset)) else str(o))',
+    '',
+    'def format_error(error):',
+    '    tb = None if isinstance(error, SyntaxError) else error.__traceback__',
+    '    while tb and tb.tb_frame.f_globals is not namespace:',
+    '        tb = tb.tb_next',
+    '    return "".join(traceback.format_exception(type(error), error, tb))',
+    '',
+    'def handle(request):',
+    '    if request["type"] == "execute":',
+    '        stdout, stderr = StringIO(), StringIO()',
+    '        sys.stdin = StringIO(request.get("stdin") or "")',
+    '        env = request.get("env") or {}',
+    '        saved_env = {name: os.environ.get(name) for name in env}',
+    '        os.environ.update(env)',
+    '        reply = {}',
+    '        try:',
+    '            with redirect_stdout(stdout), redirect_stderr(stderr):',
+    '                reply["result"] = run(request)',
+    '        except KeyboardInterrupt:',
+    '            reply["error"] = "Execution aborted"',
+    '        except BaseException as error:',
+    '            reply["error"] = (stderr.getvalue() + format_error(error)).strip()',
+    '        finally:',
+    '            sys.stdin = sys.__stdin__',
+    '            for name, value in saved_env.items():',
+    '                if value is None:',
+    '                    os.environ.pop(name, None)',
+    '                else:',
+    '                    os.environ[name] = value',
+    '        reply["output"] = stdout.getvalue()',
+    '        return reply',
+    '    if request["type"] == "inspect":',
+    '        return {"variables": [',
+    '            {"name": k, "type": type(v).__name__, "repr": reprlib.repr(v)}',
+    '            for k, v in namespace.items() if not k.startswith("__")',
+    '        ]}',
+    '    return {"error": "Unknown request type: " + str(request["type"])}',
+    '',
+    'while True:',
+    '    try:',
+    '        line = commands.readline()',
+    '    except KeyboardInterrupt:',
+    '        continue',
+    '    if not line:',
+    '        break',
+    '    request = json.loads(line)',
+    '    reply = handle(request)',
+    '    reply["id"] = request.get("id")',
+    '    replies.write(json.dumps(reply) + "\\n")',
+    '    replies.flush()',
+].join('\n');
+
+// Running kernels keyed by "venv/name"
+const kernelSessions = new Map();
+
+/**
+ * Validate session name (letters, digits, dashes and underscores)
+ * @param {string} name - Session name to validate
+ * @returns {boolean}
+ */
+function isValidSessionName(name) {
+    return /^[a-zA-Z0-9_-]{1,64}$/.test(name);
+}
+
+/**
+ * Get the registry key for a session
+ * @param {string} owner - Handle of the user the session belongs to
+ * @param {string} venvName - Name of the venv
+ * @param {string} name - Session name
+ * @returns {string}
+ */
+function getSessionKey(owner, venvName, name) {
+    return `${owner}:${venvName}/${name}`;
+}
+
+/**
+ * Start a kernel process for a session
+ * @param {string} name - Session name
+ * @param {string} venvName - Name of the venv
+ * @param {{handle: string, admin: boolean}} user - Account the session belongs to, see getRequestUser()
+ * @param {string} [chat] - Run in this chat's workspace instead of the venv's
+ * @param {string} [network] - 'off' to block network access, on top of the venv's policy
+ * @returns {object} The session
+ */
+function startKernel(name, venvName, user, chat = null, network = null) {
+    const key = getSessionKey(user.handle, venvName, name);
+    const workspace = getExecutionWorkspace(user.handle, venvName, chat);
+    // CPU time adds up over the kernel's life, so only the other limits apply
+    const limits = getResourceLimits({ cpu: 0 });
+    // The guard cannot be removed from a running interpreter, so the policy is fixed for the kernel's life
+    const policy = getExecutionPolicy(venvName, network);
+    const command = withPolicy(withResourceLimits(getVenvPython(venvName), ['-u', '-c', KERNEL_SOURCE], limits), policy);
+    const policyOptions = getPolicySpawnOptions(policy, [process.env.PYTHONPATH].filter(Boolean));
+    const proc = spawnProcess(command.command, command.args, {
+        cwd: workspace,
+        env: { ...process.env, PYTHONIOENCODING: 'utf-8', ...policyOptions.env },
+        stdio: policyOptions.stdio,
+    });
+    // A violation ends the kernel; the execution that caused it reports it
+    watchSecurityReports(proc, { session: key, user: user.handle }, (violation) => {
+        session.violation = session.violation || violation;
+    });
+
+    const session = {
+        key,
+        name,
+        venv: venvName,
+        user,
+        log: getUserLog(user),
+        chat,
+        workspace,
+        network,
+        policy,
+        violation: null,
+        proc,
+        limits,
+        pending: new Map(),
+        nextId: 1,
+        buffer: '',
+        queue: Promise.resolve(),
+        closed: false,
+        busy: false,
+        executions: 0,
+        createdAt: Date.now(),
+        lastUsed: Date.now(),
+    };
+
+    proc.stdout.setEncoding('utf8');
+    proc.stdout.on('data', (data) => {
+        session.buffer += data;
+        let newline;
+        while ((newline = session.buffer.indexOf('\n')) !== -1) {
+            const line = session.buffer.substring(0, newline);
+            session.buffer = session.buffer.substring(newline + 1);
+            handleKernelReply(session, line);
+        }
+    });
+    proc.stderr.on('data', (data) => {
+        session.log.debug('SESSION', `Kernel stderr in session: ${key}`, { output: maskSecrets(data.toString()) });
+    });
+    // Writes after the kernel died are reported through the pending requests instead
+    proc.stdin.on('error', () => {});
+
+    proc.on('close', (exitCode, signal) => {
+        session.closed = true;
+        for (const request of session.pending.values()) {
+            request.reject(new Error('Session kernel exited'));
+        }
+        session.pending.clear();
+        if (kernelSessions.get(key) === session) {
+            kernelSessions.delete(key);
+        }
+        session.log.info('SESSION', `Kernel stopped for session: ${key}`, { exitCode, signal });
+    });
+
+    proc.on('error', (err) => {
+        log.error('SYSTEM', `Spawn error starting kernel for session: ${key}`, { error: err.message });
+    });
+
+    kernelSessions.set(key, session);
+    session.log.info('SESSION', `Kernel started for session: ${key}`, { pid: proc.pid });
+    return session;
+}
+
+/**
+ * Route a kernel reply line to its pending request
+ * @param {object} session - The session
+ * @param {string} line - JSON reply
+ */
+function handleKernelReply(session, line) {
+    let reply;
+    try {
+        reply = JSON.parse(line);
+    } catch {
+        session.log.warn('SESSION', `Invalid reply from kernel in session: ${session.key}`, { line });
+        return;
+    }
+    const request = session.pending.get(reply.id);
+    if (request) {
+        session.pending.delete(reply.id);
+        request.resolve(reply);
+    }
+}
+
+/**
+ * Send a request to a session's kernel
+ * @param {object} session - The session
+ * @param {object} message - Request ({ type: 'execute' | 'inspect', ... })
+ * @returns {Promise<object>} - Resolves with the kernel's reply
+ */
+function sendToKernel(session, message) {
+    return new Promise((resolve, reject) => {
+        if (session.closed) {
+            return reject(new Error('Session kernel exited'));
+        }
+        const id = session.nextId++;
+        session.pending.set(id, { resolve, reject });
+        session.proc.stdin.write(JSON.stringify({ ...message, id }) + '\n');
+    });
+}
+
+/**
+ * Queue a task so a session handles one request at a time
+ * @param {object} session - The session
+ * @param {function(): Promise<any>} task
+ * @returns {Promise<any>}
+ */
+function queueInSession(session, task) {
+    const run = session.queue.then(task);
+    session.queue = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Stop a session's kernel
+ * @param {object} session - The session
+ */
+function stopKernel(session) {
+    session.closed = true;
+    kernelSessions.delete(session.key);
+    terminateProcessTree(session.proc);
+}
+
+/**
+ * Execute code in a session, starting its kernel if needed
+ * @param {string} name - Session name
+ * @param {string} code - Python code
+ * @param {number} timeout - Timeout in ms
+ * @param {object} [options]
+ * @param {string} [options.venv] - Name of the venv
+ * @param {{handle: string, admin: boolean}} options.user - Account running the code, see getRequestUser()
+ * @param {string} [options.runId] - Client run ID, used to abort the execution
+ * @param {boolean} [options.captureResult] - Return the value of a trailing expression as JSON
+ * @param {string} [options.stdin] - Data for sys.stdin during this execution
+ * @param {string} [options.chat] - Chat workspace for a kernel started by this call (an existing one keeps its own)
+ * @param {string[]} [options.secrets] - Secrets to set as environment variables during this execution, on top of the venv's own
+ * @param {string} [options.network] - 'off' to require a kernel without network access (one started by this call gets none)
+ * @returns {Promise<{output: string, error: string|null, result?: string|null, limit?: string, violation?: object}>}
+ */
+function executeInSession(name, code, timeout, options = {}) {
+    const { venv = 'default', user, runId = null, captureResult = false, stdin = null, chat = null, secrets = [], network = null } = options;
+    const session = kernelSessions.get(getSessionKey(user.handle, venv, name)) || startKernel(name, venv, user, chat, network);
+
+    // The venv's policy may have become stricter since the kernel started
+    const policy = getExecutionPolicy(venv, network);
+    if (Object.keys(DEFAULT_POLICY).some(permission => !policy[permission] && session.policy[permission])) {
+        log.warn('SECURITY', `Refused execution in session started under a less strict policy: ${session.key}`);
+        return Promise.reject(new Error(`Session "${name}" was started under a less strict policy; restart it`));
+    }
+
+    return queueInSession(session, () => new Promise((resolve, reject) => {
+        // Read the secrets for each execution, so changes apply without restarting the kernel
+        let secretEnv;
+        try {
+            secretEnv = getSecretEnv(venv, secrets, user);
+        } catch (err) {
+            reject(err);
+            return;
+        }
+        const masker = createSecretMasker(Object.values(secretEnv));
+
+        let aborted = false;
+        session.busy = true;
+        session.lastUsed = Date.now();
+
+        if (runId) {
+            runningExecutions.set(runId, {
+                owner: user.handle,
+                abort: () => {
+                    // KeyboardInterrupt stops the code but keeps the session's state
+                    aborted = true;
+                    session.proc.kill('SIGINT');
+                },
+            });
+        }
+
+        const timeoutId = setTimeout(() => {
+            session.log.error('SESSION', `Execution timed out in session: ${session.key}, stopping kernel`, { timeout });
+            reject(new Error('Execution timed out (session state was lost)'));
+            stopKernel(session);
+        }, timeout);
+
+        sendToKernel(session, { type: 'execute', code, result: captureResult, stdin, env: secretEnv })
+            .then((rawReply) => {
+                const reply = {
+                    output: masker.mask(rawReply.output || ''),
+                    error: rawReply.error && masker.mask(rawReply.error),
+                    result: rawReply.result && masker.mask(rawReply.result),
+                };
+                const maxOutputBytes = limitsConfig.maxOutputKB * 1024;
+                let output = (reply.output || '').trim();
+                const outputLimitHit = maxOutputBytes > 0 && Buffer.byteLength(output, 'utf8') > maxOutputBytes;
+                if (outputLimitHit) {
+                    output = truncateBytes(output, maxOutputBytes);
+                }
+                const limit = outputLimitHit ? 'output' : detectLimit(null, reply.error || '', session.limits);
+                if (aborted) {
+                    session.log.warn('SESSION', `Execution aborted in session: ${session.key}`, { runId });
+                    resolve({ output, error: 'Execution aborted' });
+                } else if (limit) {
+                    session.log.warn('SESSION', `Resource limit hit in session: ${session.key}`, { limit });
+                    const error = [reply.error, describeLimit(limit)].filter(Boolean).join('\n');
+                    resolve({ output, error, limit });
+                } else if (reply.error) {
+                    session.log.error('SESSION', `Execution failed in session: ${session.key}`, { error: reply.error });
+                    resolve({ output, error: reply.error });
+                } else {
+                    session.log.info('SESSION', `Executed in session: ${session.key}`, { outputLength: output.length });
+                    resolve({ output, error: null, result: reply.result ?? null });
+                }
+            }, (err) => {
+                if (session.violation) {
+                    session.log.warn('SESSION', `Kernel stopped by policy in session: ${session.key}`);
+                    resolve({ output: '', error: `${describeViolation(session.violation)} (session state was lost)`, violation: session.violation });
+                } else {
+                    reject(err);
+                }
+            })
+            .finally(() => {
+                clearTimeout(timeoutId);
+                if (runId) runningExecutions.delete(runId);
+                session.busy = false;
+                session.executions++;
+                session.lastUsed = Date.now();
+            });
+    }));
+}
+
+/**
+ * Summarize a session for its owner. The workspace is relative to the owner's workspaces
+ * (e.g. 'venv/default'); the host pid is only included for admins.
+ * @param {object} session - The session
+ * @returns {object}
+ */
+function describeSession(session) {
+    return {
+        name: session.name,
+        venv: getVenvDisplayName(session.venv),
+        workspace: path.relative(getUserWorkspacesDir(session.user.handle), session.workspace).split(path.sep).join('/'),
+        policy: session.policy,
+        ...(session.user.admin && { pid: session.proc.pid }),
+        busy: session.busy,
+        executions: session.executions,
+        createdAt: new Date(session.createdAt).toISOString(),
+        lastUsed: new Date(session.lastUsed).toISOString(),
+    };
+}
+
+/**
+ * Shut down sessions that have been idle longer than SESSION_IDLE_TIMEOUT
+ */
+function cleanupIdleSessions() {
+    const now = Date.now();
+    for (const session of [...kernelSessions.values()]) {
+        if (!session.busy && now - session.lastUsed > SESSION_IDLE_TIMEOUT) {
+            session.log.info('SESSION', `Shutting down idle session: ${session.key}`, {
+                idleMinutes: Math.round((now - session.lastUsed) / 60000),
+            });
+            stopKernel(session);
+        }
+    }
+}
+
+// =============================================================================
+// BACKGROUND JOBS
+// =============================================================================
+
+// Jobs may run much longer than a blocking /execute request
+const DEFAULT_JOB_TIMEOUT = 60 * 60 * 1000;
+const MAX_JOB_TIMEOUT = 24 * 60 * 60 * 1000;
+// Finished jobs are kept this long so clients can collect their output
+const JOB_RETENTION = 60 * 60 * 1000;
+
+// Jobs keyed by job ID, in creation order
+const jobs = new Map();
+
+/**
+ * Create a unique job ID
+ * @returns {string}
+ */
+function createJobId() {
+    return 'job-' + Date.now().toString(36) + Math.random().toString(36).substring(2, 8);
+}
+
+/**
+ * Start a background job
+ * @param {string} code - Python code
+ * @param {number} timeout - Timeout in ms
+ * @param {string} venvName - Name of the venv
+ * @param {object} options - As for executePython(); options.user owns the job
+ * @param {boolean|null} [options.isAsync] - Run inside an asyncio event loop (top-level await);
+ *     null lets the runner decide by compiling the code
+ * @param {boolean} [options.captureResult] - Return the value of a trailing expression as JSON
+ * @param {string} [options.stdin] - Data for the process's stdin
+ * @returns {object} The job
+ */
+function startJob(code, timeout, venvName, options) {
+    const jobLog = getUserLog(options.user);
+    const job = {
+        id: createJobId(),
+        venv: venvName,
+        owner: options.user.handle,
+        code,
+        format: options.captureResult ? 'json' : 'text',
+        status: 'running',
+        output: '',
+        stderr: '',
+        error: null,
+        result: null,
+        limit: null,
+        violation: null,
+        createdAt: Date.now(),
+        finishedAt: null,
+    };
+    jobs.set(job.id, job);
+
+    // Jobs are meant to run for a long time, so their CPU limit stretches to the job timeout
+    const cpu = limitsConfig.cpuSeconds && Math.max(limitsConfig.cpuSeconds, Math.ceil(timeout / 1000));
+    jobLog.info('SCRIPT', `Job started in venv: ${venvName}`, { jobId: job.id, timeout });
+
+    executePython(code, timeout, venvName, {
+        ...options,
+        runId: job.id,
+        limits: getResourceLimits({ cpu }),
+        onOutput: (stream, data) => {
+            if (stream === 'stdout') job.output += data;
+            else job.stderr += data;
+        },
+    }).then((result) => {
+        job.output = result.output;
+        job.result = result.result ?? null;
+        job.error = result.error;
+        job.limit = result.limit ?? null;
+        job.violation = result.violation ?? null;
+        if (result.error === 'Execution aborted') {
+            job.status = 'cancelled';
+        } else {
+            job.status = result.error ? 'failed' : 'completed';
+        }
+    }, (error) => {
+        job.error = error.message;
+        job.status = 'failed';
+    }).finally(() => {
+        job.finishedAt = Date.now();
+        jobLog.info('SCRIPT', `Job ${job.status}: ${job.id}`, { seconds: Math.round((job.finishedAt - job.createdAt) / 1000) });
+    });
+
+    return job;
+}
+
+/**
+ * Summarize a job for the API
+ * @param {object} job - The job
+ * @param {boolean} [withOutput] - Include captured output
+ * @returns {object}
+ */
+function describeJob(job, withOutput = false) {
+    const firstLine = job.code.trim().split('\n')[0];
+    const summary = {
+        id: job.id,
+        venv: getVenvDisplayName(job.venv),
+        status: job.status,
+        format: job.format,
+        code: firstLine.length > 60 ? firstLine.substring(0, 60) + '...' : firstLine,
+        createdAt: new Date(job.createdAt).toISOString(),
+        finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+        elapsed: (job.finishedAt || Date.now()) - job.createdAt,
+    };
+    if (withOutput) {
+        summary.output = job.output;
+        summary.stderr = job.stderr;
+        summary.error = job.error;
+        summary.result = job.result;
+        summary.limit = job.limit;
+        summary.violation = job.violation;
+    }
+    return summary;
+}
+
+/**
+ * Forget finished jobs older than JOB_RETENTION
+ */
+function cleanupFinishedJobs() {
+    const now = Date.now();
+    for (const job of [...jobs.values()]) {
+        if (job.finishedAt && now - job.finishedAt > JOB_RETENTION) {
+            jobs.delete(job.id);
+        }
+    }
+}
+
+// =============================================================================
+// PYODIDE DISTRIBUTION
+// =============================================================================
+
+// Self-hosted Pyodide files, one directory per version
+const PYODIDE_DIR = path.join(__dirname, 'pyodide');
+const PYODIDE_CDN_URL = 'https://cdn.jsdelivr.net/pyodide';
+
+// Files needed to boot the interpreter (packages are cached on first request)
+const PYODIDE_CORE_FILES = [
+    'pyodide.js',
+    'pyodide.asm.js',
+    'pyodide.asm.wasm',
+    'python_stdlib.zip',
+    'pyodide-lock.json',
+];
+
+/**
+ * Validate a Pyodide version string (e.g. 0.24.1 or 0.25.0a2)
+ * @param {string} version
+ * @returns {boolean}
+ */
+function isValidPyodideVersion(version) {
+    return typeof version === 'string' && /^\d+\.\d+\.\d+[a-z0-9]*$/.test(version);
+}
+
+/**
+ * Resolve a file inside a local Pyodide distribution, refusing paths that escape it
+ * @param {string} version - Pyodide version
+ * @param {string} file - Relative file path
+ * @returns {string|null} Absolute path, or null if the path is invalid
+ */
+function resolvePyodideFile(version, file) {
+    const versionDir = path.join(PYODIDE_DIR, version);
+    const filePath = path.resolve(versionDir, file);
+    if (!filePath.startsWith(versionDir + path.sep)) {
+        return null;
+    }
+    return filePath;
+}
+
+/**
+ * Download a single Pyodide file from the CDN into the local distribution
+ * @param {string} version - Pyodide version
+ * @param {string} file - Relative file path
+ * @returns {Promise<Buffer>} File contents
+ */
+async function downloadPyodideFile(version, file) {
+    const filePath = resolvePyodideFile(version, file);
+    if (!filePath) {
+        throw new Error(`Invalid Pyodide file path: ${file}`);
+    }
+
+    const url = `${PYODIDE_CDN_URL}/v${version}/full/${file}`;
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to download ${url}: ${response.status}`);
+    }
+
+    const data = Buffer.from(await response.arrayBuffer());
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, data);
+    log.debug('PYODIDE', `Cached Pyodide file: ${version}/${file}`, { size: data.length });
+    return data;
+}
+
+/**
+ * List locally available Pyodide versions (those with the core files present)
+ * @returns {string[]}
+ */
+function listPyodideVersions() {
+    if (!fs.existsSync(PYODIDE_DIR)) {
+        return [];
+    }
+    return fs.readdirSync(PYODIDE_DIR).filter(version => {
+        return isValidPyodideVersion(version) &&
+            PYODIDE_CORE_FILES.every(file => fs.existsSync(path.join(PYODIDE_DIR, version, file)));
+    });
+}
+
+// Periodic cleanup of idle sessions, old jobs and finished process groups
+const CLEANUP_INTERVAL = 60 * 1000;
+let cleanupTimer = null;
+
+async function init(router) {
+    // Ensure default venv exists on startup
+    await ensureDefaultVenv();
+    await detectNetworkNamespaces();
+    migrateLegacyWorkspaces();
+
+    // Status endpoint - includes venv list and what the requesting user may do
+    router.get('/status', async (req, res) => {
+        const user = getRequestUser(req);
+        const access = describeAccess(user);
+        const venvs = access.execute || access.manage ? listVenvsForUser(user).map(venv => venv.name) : [];
+        const defaultExists = venvExists('default');
+        res.json({
+            status: 'ok',
+            plugin: info.name,
+            python: getPythonCommand(),
+            venvs: venvs,
+            defaultVenvReady: defaultExists,
+            access,
+        });
+    });
+
+    // Venv CRUD endpoints
+    // The user's own venvs and the system venvs; system lists the shared ones
+    router.get('/venvs', authorize('execute', 'manage'), (req, res) => {
+        const venvs = listVenvsForUser(getRequestUser(req));
+        res.json({ venvs: venvs.map(venv => venv.name), system: venvs.filter(venv => venv.system).map(venv => venv.name) });
+    });
+
+    // Create a venv of the user's own, or a system venv (admins only) with system: true
+    router.post('/venvs', authorize('manage'), async (req, res) => {
+        const user = getRequestUser(req);
+        const { name, system = false } = req.body;
+        if (!name || typeof name !== 'string') {
+            return res.status(400).json({ error: 'No venv name provided' });
+        }
+        if (!isValidVenvName(name)) {
+            return res.status(400).json({ error: 'Invalid venv name. Use alphanumeric characters only.' });
+        }
+        if (system && !user.admin) {
+            return denyRequest(req, res, user, ['admin'], 'Only admins can create system venvs');
+        }
+        // A venv of the user's own would hide the system venv of the same name
+        if (resolveVenv(user, name)) {
+            return res.status(400).json({ error: `Venv "${name}" already exists` });
+        }
+        const quotaError = system ? null : await checkQuota(user, { venvs: 1 });
+        if (quotaError) {
+            return denyRequest(req, res, user, ['manage'], quotaError);
+        }
+
+        console.log(`[PyRunner] Creating venv: ${name}`);
+        const result = await createVenv(system ? name : getUserVenvName(user.handle, name), getUserLog(user));
+        invalidateUserUsage(user.handle);
+        if (result.success) {
+            res.json({ success: true, message: `Venv "${name}" created successfully` });
+        } else {
+            res.status(500).json({ error: result.error });
+        }
+    });
+
+    // Get a venv's policy, and whether runs without network access also get an empty network namespace
+    router.get('/venvs/:name/policy', authorize('execute', 'manage'), (req, res) => {
+        const { name } = req.params;
+        const venvName = resolveVenv(getRequestUser(req), name);
+        if (!venvName) {
+            return res.status(404).json({ error: `Venv "${name}" does not exist` });
+        }
+        res.json({ policy: getVenvPolicy(venvName), namespaces: Boolean(networkNamespaceArgs) });
+    });
+
+    // Update a venv's policy. Running sessions keep theirs until restarted.
+    router.post('/venvs/:name/policy', authorize('admin'), (req, res) => {
+        const { name } = req.params;
+        const venvName = resolveVenv(getRequestUser(req), name);
+        if (!venvName) {
+            return res.status(404).json({ error: `Venv "${name}" does not exist` });
+        }
+        const updates = {};
+        for (const permission of Object.keys(DEFAULT_POLICY)) {
+            if (req.body[permission] !== undefined) {
+                if (typeof req.body[permission] !== 'boolean') {
+                    return res.status(400).json({ error: `Invalid value for ${permission}` });
+                }
+                updates[permission] = req.body[permission];
+            }
+        }
+
+        try {
+            const policy = saveVenvPolicy(venvName, updates);
+            log.info('SECURITY', `Policy updated for venv: ${venvName}`, policy);
+            res.json({ success: true, policy });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    router.delete('/venvs/:name', authorize('manage'), async (req, res) => {
+        const user = getRequestUser(req);
+        const { name } = req.params;
+        if (!name) {
+            return res.status(400).json({ error: 'No venv name provided' });
+        }
+        if (name === 'default') {
+            return res.status(400).json({ error: 'Cannot delete the default venv' });
+        }
+        const venvName = resolveVenv(user, name);
+        if (!venvName) {
+            return res.status(404).json({ error: `Venv "${name}" does not exist` });
+        }
+        if (!canChangeVenv(user, venvName)) {
+            return denyRequest(req, res, user, ['admin'], 'Only admins can delete system venvs');
+        }
+
+        console.log(`[PyRunner] Deleting venv: ${venvName}`);
+        const result = await deleteVenv(venvName, getUserLog(user));
+        invalidateUserUsage(user.handle);
+        if (result.success) {
+            res.json({ success: true, message: `Venv "${name}" deleted successfully` });
+        } else {
+            res.status(500).json({ error: result.error });
+        }
+    });
+
+    // Execute Python code (with venv support)
+    router.post('/execute', authorize('execute'), async (req, res) => {
+        const {
+            code,
+            timeout = 30000,
+            venv = 'default',
+            runId = null,
+            async: isAsync = null,
+            format = 'text',
+            stdin = null,
+            chat = null,
+            secrets = [],
+            network = null,
+        } = req.body;
+        if (!code || typeof code !== 'string') {
+            return res.status(400).json({ error: 'No code provided' });
+        }
+        const user = getRequestUser(req);
+        const venvName = resolveVenv(user, venv);
+        if (!venvName) {
+            return res.status(400).json({ error: `Venv "${venv}" does not exist` });
+        }
+        if (chat !== null && !isValidWorkspace('chat', chat)) {
+            return res.status(400).json({ error: 'Invalid chat workspace name. Use letters, digits, dashes and underscores.' });
+        }
+        if (!isValidSecretList(secrets)) {
+            return res.status(400).json({ error: 'Secrets must be a list of secret names' });
+        }
+        // The code could print a requested secret in any form, so only admins may ask for them
+        if (secrets.length > 0 && !user.admin) {
+            return denyRequest(req, res, user, ['admin'], 'Only admins can request secrets by name');
+        }
+        if (!isValidNetworkPolicy(network)) {
+            return res.status(400).json({ error: 'Network must be "on" or "off"' });
+        }
+
+        const safeTimeout = Math.min(Math.max(parseInt(timeout) || 30000, 1000), 300000);
+        try {
+            const safeRunId = typeof runId === 'string' ? runId : null;
+            const result = await executePython(code, safeTimeout, venvName, {
+                user,
+                runId: safeRunId,
+                isAsync: isAsync === null ? null : Boolean(isAsync),
+                captureResult: format === 'json',
+                stdin: typeof stdin === 'string' ? stdin : null,
+                chat,
+                secrets,
+                network,
+            });
+            if (result.error) {
+                return res.json({
+                    output: result.output,
+                    error: result.error,
+                    limit: result.limit ?? null,
+                    violation: result.violation ?? null,
+                });
+            }
+            res.json({ output: result.output, result: result.result });
+        } catch (error) {
+            console.error('[PyRunner] Execution error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Execute Python code, streaming output as newline-delimited JSON events:
+    // { type: 'stdout' | 'stderr', data } and { type: 'input', prompt } while running,
+    // then { type: 'exit', output, error, result, limit, violation }
+    router.post('/execute/stream', authorize('execute'), async (req, res) => {
+        const {
+            code,
+            timeout = 30000,
+            venv = 'default',
+            runId = null,
+            async: isAsync = null,
+            format = 'text',
+            stdin = null,
+            interactive = false,
+            chat = null,
+            secrets = [],
+            network = null,
+        } = req.body;
+        if (!code || typeof code !== 'string') {
+            return res.status(400).json({ error: 'No code provided' });
+        }
+        const user = getRequestUser(req);
+        const venvName = resolveVenv(user, venv);
+        if (!venvName) {
+            return res.status(400).json({ error: `Venv "${venv}" does not exist` });
+        }
+        if (chat !== null && !isValidWorkspace('chat', chat)) {
+            return res.status(400).json({ error: 'Invalid chat workspace name. Use letters, digits, dashes and underscores.' });
+        }
+        if (!isValidSecretList(secrets)) {
+            return res.status(400).json({ error: 'Secrets must be a list of secret names' });
+        }
+        // The code could print a requested secret in any form, so only admins may ask for them
+        if (secrets.length > 0 && !user.admin) {
+            return denyRequest(req, res, user, ['admin'], 'Only admins can request secrets by name');
+        }
+        if (!isValidNetworkPolicy(network)) {
+            return res.status(400).json({ error: 'Network must be "on" or "off"' });
+        }
+
+        res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.flushHeaders();
+
+        const send = (event) => {
+            res.write(JSON.stringify(event) + '\n');
+            // Push the chunk through compression middleware, if any
+            if (typeof res.flush === 'function') res.flush();
+        };
+
+        // Kill the process if the client goes away before it finishes
+        const safeRunId = typeof runId === 'string' ? runId : `stream-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
+        let finished = false;
+        res.on('close', () => {
+            if (!finished) abortExecution(safeRunId);
+        });
+
+        const safeTimeout = Math.min(Math.max(parseInt(timeout) || 30000, 1000), 300000);
+        try {
+            const result = await executePython(code, safeTimeout, venvName, {
+                user,
+                runId: safeRunId,
+                isAsync: isAsync === null ? null : Boolean(isAsync),
+                captureResult: format === 'json',
+                onOutput: (stream, data) => send({ type: stream, data }),
+                stdin: typeof stdin === 'string' ? stdin : null,
+                // Interactive runs ask for each input() line with an input event, answered through /input
+                onInput: interactive ? (prompt) => send({ type: 'input', prompt }) : null,
+                chat,
+                secrets,
+                network,
+            });
+            send({
+                type: 'exit',
+                output: result.output,
+                error: result.error,
+                result: result.result ?? null,
+                limit: result.limit ?? null,
+                violation: result.violation ?? null,
+            });
+        } catch (error) {
+            console.error('[PyRunner] Execution error:', error);
+            send({ type: 'exit', output: '', error: error.message, result: null, limit: null, violation: null });
+        }
+        finished = true;
+        res.end();
     });
-}
 
-async function init(router) {
-    // Ensure default venv exists on startup
-    await ensureDefaultVenv();
+    // Abort a running execution (or all of them when no runId is given)
+    // Users can only abort their own executions
+    router.post('/abort', authorize('execute'), (req, res) => {
+        const user = getRequestUser(req);
+        const { runId } = req.body;
+        const runIds = runId ? [runId] : [...runningExecutions.keys()];
 
-    // Status endpoint - includes venv list
-    router.get('/status', async (req, res) => {
-        const venvs = listVenvs();
-        const defaultExists = venvExists('default');
-        res.json({
-            status: 'ok',
-            plugin: info.name,
-            python: getPythonCommand(),
-            venvs: venvs,
-            defaultVenvReady: defaultExists
-        });
-    });
+        let aborted = 0;
+        for (const id of runIds) {
+            if (abortExecution(id, user.handle)) aborted++;
+        }
 
-    // Venv CRUD endpoints
-    router.get('/venvs', (req, res) => {
-        const venvs = listVenvs();
-        res.json({ venvs });
+        getUserLog(user).info('SCRIPT', `Abort requested, ${aborted} execution(s) stopped`, { runId: runId || 'all' });
+        res.json({ success: true, aborted });
     });
 
-    router.post('/venvs', async (req, res) => {
-        const { name } = req.body;
-        if (!name || typeof name !== 'string') {
-            return res.status(400).json({ error: 'No venv name provided' });
+    // Answer an input() call of an interactive streamed execution; text null closes stdin
+    router.post('/input', authorize('execute'), (req, res) => {
+        const { runId, text = null } = req.body;
+        if (!runId || typeof runId !== 'string') {
+            return res.status(400).json({ error: 'No run ID provided' });
         }
-        if (!isValidVenvName(name)) {
-            return res.status(400).json({ error: 'Invalid venv name. Use alphanumeric characters only.' });
+        if (text !== null && typeof text !== 'string') {
+            return res.status(400).json({ error: 'Input must be a string or null' });
         }
-        if (venvExists(name)) {
-            return res.status(400).json({ error: `Venv "${name}" already exists` });
+        if (!provideInput(runId, text, getRequestUser(req).handle)) {
+            return res.status(404).json({ error: 'No interactive execution with this run ID' });
         }
+        res.json({ success: true });
+    });
 
-        console.log(`[PyRunner] Creating venv: ${name}`);
-        const result = await createVenv(name);
-        if (result.success) {
-            res.json({ success: true, message: `Venv "${name}" created successfully` });
-        } else {
-            res.status(500).json({ error: result.error });
-        }
+    // Find the session a request names among the user's own, or null
+    const getRequestSession = (req) => {
+        const user = getRequestUser(req);
+        const venvName = resolveVenv(user, req.params.venv);
+        return venvName ? kernelSessions.get(getSessionKey(user.handle, venvName, req.params.name)) || null : null;
+    };
+
+    // Kernel sessions: long-lived interpreters that keep state between executions. Each user sees their own.
+    router.get('/sessions', authorize('execute'), (req, res) => {
+        const { handle } = getRequestUser(req);
+        res.json({ sessions: [...kernelSessions.values()].filter(session => session.user.handle === handle).map(describeSession) });
     });
 
-    router.delete('/venvs/:name', async (req, res) => {
-        const { name } = req.params;
-        if (!name) {
-            return res.status(400).json({ error: 'No venv name provided' });
+    router.post('/sessions', authorize('execute'), (req, res) => {
+        const { name, venv = 'default', chat = null, network = null } = req.body;
+        if (!name || typeof name !== 'string' || !isValidSessionName(name)) {
+            return res.status(400).json({ error: 'Invalid session name. Use letters, digits, dashes and underscores.' });
         }
-        if (name === 'default') {
-            return res.status(400).json({ error: 'Cannot delete the default venv' });
+        const user = getRequestUser(req);
+        const venvName = resolveVenv(user, venv);
+        if (!venvName) {
+            return res.status(400).json({ error: `Venv "${venv}" does not exist` });
         }
-        if (!venvExists(name)) {
-            return res.status(404).json({ error: `Venv "${name}" does not exist` });
+        if (chat !== null && !isValidWorkspace('chat', chat)) {
+            return res.status(400).json({ error: 'Invalid chat workspace name. Use letters, digits, dashes and underscores.' });
+        }
+        if (!isValidNetworkPolicy(network)) {
+            return res.status(400).json({ error: 'Network must be "on" or "off"' });
+        }
+        if (kernelSessions.has(getSessionKey(user.handle, venvName, name))) {
+            return res.status(400).json({ error: `Session "${name}" already exists in venv "${venv}"` });
         }
 
-        console.log(`[PyRunner] Deleting venv: ${name}`);
-        const result = await deleteVenv(name);
-        if (result.success) {
-            res.json({ success: true, message: `Venv "${name}" deleted successfully` });
-        } else {
-            res.status(500).json({ error: result.error });
+        const session = startKernel(name, venvName, user, chat, network);
+        res.json({ success: true, session: describeSession(session) });
+    });
+
+    router.get('/sessions/:venv/:name', authorize('execute'), async (req, res) => {
+        const session = getRequestSession(req);
+        if (!session) {
+            return res.status(404).json({ error: `Session "${req.params.name}" does not exist` });
+        }
+        try {
+            const reply = await queueInSession(session, () => sendToKernel(session, { type: 'inspect' }));
+            res.json({ ...describeSession(session), variables: reply.variables || [] });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
         }
     });
 
-    // Execute Python code (with venv support)
-    router.post('/execute', async (req, res) => {
-        const { code, timeout = 30000, venv = 'default' } = req.body;
+    router.post('/sessions/:venv/:name/execute', authorize('execute'), async (req, res) => {
+        const { venv, name } = req.params;
+        const { code, timeout = 30000, runId = null, format = 'text', stdin = null, chat = null, secrets = [], network = null } = req.body;
         if (!code || typeof code !== 'string') {
             return res.status(400).json({ error: 'No code provided' });
         }
-        if (!venvExists(venv)) {
+        if (!isValidSessionName(name)) {
+            return res.status(400).json({ error: 'Invalid session name. Use letters, digits, dashes and underscores.' });
+        }
+        const user = getRequestUser(req);
+        const venvName = resolveVenv(user, venv);
+        if (!venvName) {
             return res.status(400).json({ error: `Venv "${venv}" does not exist` });
         }
+        if (chat !== null && !isValidWorkspace('chat', chat)) {
+            return res.status(400).json({ error: 'Invalid chat workspace name. Use letters, digits, dashes and underscores.' });
+        }
+        if (!isValidSecretList(secrets)) {
+            return res.status(400).json({ error: 'Secrets must be a list of secret names' });
+        }
+        // The code could print a requested secret in any form, so only admins may ask for them
+        if (secrets.length > 0 && !user.admin) {
+            return denyRequest(req, res, user, ['admin'], 'Only admins can request secrets by name');
+        }
+        if (!isValidNetworkPolicy(network)) {
+            return res.status(400).json({ error: 'Network must be "on" or "off"' });
+        }
 
         const safeTimeout = Math.min(Math.max(parseInt(timeout) || 30000, 1000), 300000);
         try {
-            const result = await executePython(code, safeTimeout, venv);
+            const result = await executeInSession(name, code, safeTimeout, {
+                venv: venvName,
+                user,
+                runId: typeof runId === 'string' ? runId : null,
+                captureResult: format === 'json',
+                stdin: typeof stdin === 'string' ? stdin : null,
+                chat,
+                secrets,
+                network,
+            });
             if (result.error) {
-                return res.json({ output: result.output, error: result.error });
+                return res.json({
+                    output: result.output,
+                    error: result.error,
+                    limit: result.limit ?? null,
+                    violation: result.violation ?? null,
+                });
             }
-            res.json({ output: result.output });
+            res.json({ output: result.output, result: result.result });
         } catch (error) {
-            console.error('[PyRunner] Execution error:', error);
+            console.error('[PyRunner] Session execution error:', error);
             res.status(500).json({ error: error.message });
         }
     });
 
+    router.post('/sessions/:venv/:name/restart', authorize('execute'), (req, res) => {
+        const { name } = req.params;
+        const session = getRequestSession(req);
+        if (!session) {
+            return res.status(404).json({ error: `Session "${name}" does not exist` });
+        }
+        // Keeps the session's network setting unless another is given; the venv's current policy applies
+        const { network = session.network } = req.body;
+        if (!isValidNetworkPolicy(network)) {
+            return res.status(400).json({ error: 'Network must be "on" or "off"' });
+        }
+
+        stopKernel(session);
+        const restarted = startKernel(name, session.venv, session.user, session.chat, network);
+        restarted.log.info('SESSION', `Session restarted: ${restarted.key}`);
+        res.json({ success: true, session: describeSession(restarted) });
+    });
+
+    router.delete('/sessions/:venv/:name', authorize('execute'), (req, res) => {
+        const { name } = req.params;
+        const session = getRequestSession(req);
+        if (!session) {
+            return res.status(404).json({ error: `Session "${name}" does not exist` });
+        }
+
+        stopKernel(session);
+        session.log.info('SESSION', `Session shut down: ${session.key}`);
+        res.json({ success: true, message: `Session "${name}" shut down` });
+    });
+
+    // Find the job a request names among the user's own, or null
+    const getRequestJob = (req) => {
+        const job = jobs.get(req.params.id);
+        return job && job.owner === getRequestUser(req).handle ? job : null;
+    };
+
+    // Background jobs for scripts that outlive a single request. Each user sees their own.
+    router.get('/jobs', authorize('execute'), (req, res) => {
+        const { handle } = getRequestUser(req);
+        res.json({ jobs: [...jobs.values()].filter(job => job.owner === handle).map(job => describeJob(job)) });
+    });
+
+    router.post('/jobs', authorize('execute'), (req, res) => {
+        const {
+            code,
+            timeout = DEFAULT_JOB_TIMEOUT,
+            venv = 'default',
+            async: isAsync = null,
+            format = 'text',
+            stdin = null,
+            chat = null,
+            secrets = [],
+            network = null,
+        } = req.body;
+        if (!code || typeof code !== 'string') {
+            return res.status(400).json({ error: 'No code provided' });
+        }
+        const user = getRequestUser(req);
+        const venvName = resolveVenv(user, venv);
+        if (!venvName) {
+            return res.status(400).json({ error: `Venv "${venv}" does not exist` });
+        }
+        if (chat !== null && !isValidWorkspace('chat', chat)) {
+            return res.status(400).json({ error: 'Invalid chat workspace name. Use letters, digits, dashes and underscores.' });
+        }
+        if (!isValidSecretList(secrets)) {
+            return res.status(400).json({ error: 'Secrets must be a list of secret names' });
+        }
+        // The code could print a requested secret in any form, so only admins may ask for them
+        if (secrets.length > 0 && !user.admin) {
+            return denyRequest(req, res, user, ['admin'], 'Only admins can request secrets by name');
+        }
+        if (!isValidNetworkPolicy(network)) {
+            return res.status(400).json({ error: 'Network must be "on" or "off"' });
+        }
+
+        const safeTimeout = Math.min(Math.max(parseInt(timeout) || DEFAULT_JOB_TIMEOUT, 1000), MAX_JOB_TIMEOUT);
+        const job = startJob(code, safeTimeout, venvName, {
+            user,
+            isAsync: isAsync === null ? null : Boolean(isAsync),
+            captureResult: format === 'json',
+            stdin: typeof stdin === 'string' ? stdin : null,
+            chat,
+            secrets,
+            network,
+        });
+        res.json({ success: true, jobId: job.id });
+    });
+
+    router.get('/jobs/:id', authorize('execute'), (req, res) => {
+        const job = getRequestJob(req);
+        if (!job) {
+            return res.status(404).json({ error: `Job "${req.params.id}" does not exist` });
+        }
+        res.json(describeJob(job, true));
+    });
+
+    // Cancel a running job, or forget a finished one
+    router.delete('/jobs/:id', authorize('execute'), (req, res) => {
+        const job = getRequestJob(req);
+        if (!job) {
+            return res.status(404).json({ error: `Job "${req.params.id}" does not exist` });
+        }
+
+        if (job.status === 'running') {
+            abortExecution(job.id);
+            getUserLog(getRequestUser(req)).info('SCRIPT', `Job cancel requested: ${job.id}`);
+            return res.json({ success: true, message: `Job "${job.id}" cancelled` });
+        }
+        jobs.delete(job.id);
+        res.json({ success: true, message: `Job "${job.id}" removed` });
+    });
+
     // Install packages (with venv support)
-    router.post('/install', async (req, res) => {
+    router.post('/install', authorize('manage'), async (req, res) => {
         const { packages, venv = 'default' } = req.body;
         if (!packages || typeof packages !== 'string') {
             return res.status(400).json({ error: 'No packages specified' });
         }
-        if (!venvExists(venv)) {
+        const user = getRequestUser(req);
+        const venvName = resolveVenv(user, venv);
+        if (!venvName) {
             return res.status(400).json({ error: `Venv "${venv}" does not exist` });
         }
+        if (!canChangeVenv(user, venvName)) {
+            return denyRequest(req, res, user, ['admin'], 'Only admins can change system venvs');
+        }
+        const quotaError = await checkQuota(user, {});
+        if (quotaError) {
+            return denyRequest(req, res, user, ['manage'], quotaError);
+        }
 
-        const pipAvailable = await checkPipAvailable(venv);
+        const pipAvailable = await checkPipAvailable(venvName);
         if (!pipAvailable) {
             return res.status(400).json({ error: 'pip is not available in this venv.' });
         }
 
         try {
-            const result = await pipInstall(packages, 120000, venv);
+            const result = await pipInstall(packages, 120000, venvName, getUserLog(user));
+            invalidateUserUsage(user.handle);
             if (result.error) {
                 return res.json({ output: result.output, error: result.error });
             }
@@ -521,27 +3333,33 @@ async function init(router) {
     });
 
     // Uninstall packages (with venv support)
-    router.post('/uninstall', async (req, res) => {
+    router.post('/uninstall', authorize('manage'), async (req, res) => {
         const { packages, venv = 'default' } = req.body;
         if (!packages || typeof packages !== 'string') {
             return res.status(400).json({ error: 'No packages specified' });
         }
-        if (!venvExists(venv)) {
+        const user = getRequestUser(req);
+        const venvName = resolveVenv(user, venv);
+        if (!venvName) {
             return res.status(400).json({ error: `Venv "${venv}" does not exist` });
         }
+        if (!canChangeVenv(user, venvName)) {
+            return denyRequest(req, res, user, ['admin'], 'Only admins can change system venvs');
+        }
 
-        const pipAvailable = await checkPipAvailable(venv);
+        const pipAvailable = await checkPipAvailable(venvName);
         if (!pipAvailable) {
             return res.status(400).json({ error: 'pip is not available in this venv.' });
         }
 
+        const userLog = getUserLog(user);
         const packageList = packages.split(/\s+/).filter(p => p);
-        log.info('PACKAGE', `Uninstalling packages from venv: ${venv}`, { packages: packageList });
+        userLog.info('PACKAGE', `Uninstalling packages from venv: ${venvName}`, { packages: packageList });
 
         try {
-            const pythonCmd = getVenvPython(venv);
+            const pythonCmd = getVenvPython(venvName);
             const args = ['-m', 'pip', 'uninstall', '-y', ...packageList];
-            const proc = spawn(pythonCmd, args, {
+            const proc = spawnProcess(pythonCmd, args, {
                 timeout: 120000,
                 maxBuffer: 1024 * 1024,
             });
@@ -553,40 +3371,42 @@ async function init(router) {
             proc.stderr.on('data', (data) => { stderr += data.toString(); });
 
             proc.on('close', (exitCode) => {
+                invalidateUserUsage(user.handle);
                 if (exitCode !== 0) {
-                    log.error('PACKAGE', `Package uninstall failed in venv: ${venv}`, { packages: packageList, exitCode, error: stderr.trim() });
+                    userLog.error('PACKAGE', `Package uninstall failed in venv: ${venvName}`, { packages: packageList, exitCode, error: stderr.trim() });
                     return res.json({ output: stdout, error: stderr.trim() || 'Uninstall failed' });
                 }
-                log.info('PACKAGE', `Packages uninstalled successfully from venv: ${venv}`, { packages: packageList });
+                userLog.info('PACKAGE', `Packages uninstalled successfully from venv: ${venvName}`, { packages: packageList });
                 res.json({ output: stdout.trim() });
             });
 
             proc.on('error', (err) => {
-                log.error('SYSTEM', `Spawn error uninstalling packages in venv: ${venv}`, { error: err.message });
+                log.error('SYSTEM', `Spawn error uninstalling packages in venv: ${venvName}`, { error: err.message });
                 res.status(500).json({ error: err.message });
             });
         } catch (error) {
             console.error('[PyRunner] Uninstall error:', error);
-            log.error('SYSTEM', `Uninstall exception in venv: ${venv}`, { error: error.message });
+            log.error('SYSTEM', `Uninstall exception in venv: ${venvName}`, { error: error.message });
             res.status(500).json({ error: error.message });
         }
     });
 
     // List packages (with venv support)
-    router.get('/packages', async (req, res) => {
+    router.get('/packages', authorize('execute', 'manage'), async (req, res) => {
         const venv = req.query.venv || 'default';
-        if (!venvExists(venv)) {
+        const venvName = resolveVenv(getRequestUser(req), venv);
+        if (!venvName) {
             return res.json({ packages: [], error: `Venv "${venv}" does not exist` });
         }
 
-        const pipAvailable = await checkPipAvailable(venv);
+        const pipAvailable = await checkPipAvailable(venvName);
         if (!pipAvailable) {
             return res.json({ packages: [], error: 'pip is not available in this venv.' });
         }
 
         try {
-            const pythonCmd = getVenvPython(venv);
-            const proc = spawn(pythonCmd, ['-m', 'pip', 'list', '--format=freeze'], {
+            const pythonCmd = getVenvPython(venvName);
+            const proc = spawnProcess(pythonCmd, ['-m', 'pip', 'list', '--format=freeze'], {
                 timeout: 30000,
                 maxBuffer: 1024 * 1024,
             });
@@ -617,12 +3437,390 @@ async function init(router) {
         }
     });
 
+    // ==========================================================================
+    // PYODIDE DISTRIBUTION ENDPOINTS
+    // ==========================================================================
+
+    // List locally available Pyodide versions
+    router.get('/pyodide', (req, res) => {
+        res.json({ versions: listPyodideVersions() });
+    });
+
+    // Download the core files of a Pyodide version for offline use
+    router.post('/pyodide/download', authorize('manage'), async (req, res) => {
+        const { version } = req.body;
+        if (!isValidPyodideVersion(version)) {
+            return res.status(400).json({ error: 'Invalid Pyodide version' });
+        }
+
+        log.info('PYODIDE', `Downloading Pyodide ${version}`);
+        try {
+            for (const file of PYODIDE_CORE_FILES) {
+                await downloadPyodideFile(version, file);
+            }
+            log.info('PYODIDE', `Pyodide ${version} downloaded successfully`);
+            res.json({ success: true, message: `Pyodide ${version} downloaded` });
+        } catch (error) {
+            log.error('PYODIDE', `Failed to download Pyodide ${version}`, { error: error.message });
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Delete a local Pyodide version
+    router.delete('/pyodide/:version', authorize('manage'), (req, res) => {
+        const { version } = req.params;
+        if (!isValidPyodideVersion(version)) {
+            return res.status(400).json({ error: 'Invalid Pyodide version' });
+        }
+
+        try {
+            fs.rmSync(path.join(PYODIDE_DIR, version), { recursive: true, force: true });
+            log.info('PYODIDE', `Pyodide ${version} deleted`);
+            res.json({ success: true, message: `Pyodide ${version} deleted` });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Serve Pyodide files. Pyodide runs sandboxed in the browser, so every account may load the
+    // cached files; only accounts allowed to manage venvs fetch and cache missing ones from the CDN.
+    router.get('/pyodide/:version/*', async (req, res) => {
+        const { version } = req.params;
+        const file = req.params[0];
+        if (!isValidPyodideVersion(version)) {
+            return res.status(400).json({ error: 'Invalid Pyodide version' });
+        }
+
+        const filePath = resolvePyodideFile(version, file);
+        if (!filePath) {
+            return res.status(400).json({ error: 'Invalid file path' });
+        }
+
+        if (fs.existsSync(filePath)) {
+            return res.sendFile(filePath);
+        }
+        if (!hasPermission(getRequestUser(req), 'manage')) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        try {
+            const data = await downloadPyodideFile(version, file);
+            res.type(path.extname(filePath)).send(data);
+        } catch (error) {
+            log.warn('PYODIDE', `Pyodide file not available: ${version}/${file}`, { error: error.message });
+            res.status(404).json({ error: 'File not found' });
+        }
+    });
+
+    // ==========================================================================
+    // WORKSPACE API ENDPOINTS
+    // ==========================================================================
+
+    // Resolve the workspace of a request among the user's own, answering 400 when it is invalid
+    const getRequestWorkspace = (req, res) => {
+        const { type, name } = req.params;
+        if (!isValidWorkspace(type, name)) {
+            res.status(400).json({ error: 'Invalid workspace' });
+            return null;
+        }
+        return getWorkspaceDir(getRequestUser(req).handle, type, name);
+    };
+
+    // List the user's workspaces
+    router.get('/workspaces', authorize('execute'), (req, res) => {
+        res.json({ workspaces: listWorkspaces(getRequestUser(req).handle) });
+    });
+
+    // List the files in a workspace
+    router.get('/workspaces/:type/:name/files', authorize('execute'), (req, res) => {
+        const root = getRequestWorkspace(req, res);
+        if (!root) return;
+        res.json({ files: listWorkspaceFiles(root) });
+    });
+
+    // Download a workspace file
+    router.get('/workspaces/:type/:name/files/*', authorize('execute'), (req, res) => {
+        const root = getRequestWorkspace(req, res);
+        if (!root) return;
+        let filePath;
+        try {
+            filePath = resolveWorkspacePath(root, req.params[0]);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+        res.download(filePath, path.basename(filePath), { dotfiles: 'allow' });
+    });
+
+    // Upload a file (base64 data) into a workspace, replacing any file at the path
+    router.post('/workspaces/:type/:name/files', authorize('execute'), async (req, res) => {
+        const root = getRequestWorkspace(req, res);
+        if (!root) return;
+        const { path: filePath, data } = req.body;
+        if (!filePath || typeof filePath !== 'string' || typeof data !== 'string') {
+            return res.status(400).json({ error: 'A file path and base64 data are required' });
+        }
+        const user = getRequestUser(req);
+        const content = Buffer.from(data, 'base64');
+        const quotaError = await checkQuota(user, { bytes: content.length });
+        if (quotaError) {
+            return denyRequest(req, res, user, ['execute'], quotaError);
+        }
+        try {
+            const target = resolveWorkspacePath(root, filePath);
+            if (target === root || (fs.existsSync(target) && fs.statSync(target).isDirectory())) {
+                return res.status(400).json({ error: `"${filePath}" is a directory` });
+            }
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.writeFileSync(target, content);
+            invalidateUserUsage(user.handle);
+            getUserLog(user).info('SYSTEM', `Workspace file uploaded: ${req.params.type}/${req.params.name}/${filePath}`);
+            res.json({ success: true, path: filePath });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    // Rename or move a file or directory within a workspace
+    router.post('/workspaces/:type/:name/rename', authorize('execute'), (req, res) => {
+        const root = getRequestWorkspace(req, res);
+        if (!root) return;
+        const { from, to } = req.body;
+        if (!from || !to || typeof from !== 'string' || typeof to !== 'string') {
+            return res.status(400).json({ error: 'Source and target paths are required' });
+        }
+        try {
+            const source = resolveWorkspacePath(root, from);
+            const target = resolveWorkspacePath(root, to);
+            if (source === root || target === root) {
+                return res.status(400).json({ error: 'The workspace itself cannot be renamed' });
+            }
+            if (!fs.existsSync(source)) {
+                return res.status(404).json({ error: `"${from}" does not exist` });
+            }
+            if (fs.existsSync(target)) {
+                return res.status(400).json({ error: `"${to}" already exists` });
+            }
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.renameSync(source, target);
+            getUserLog(getRequestUser(req)).info('SYSTEM', `Workspace file renamed: ${req.params.type}/${req.params.name}/${from} -> ${to}`);
+            res.json({ success: true, path: to });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    // Delete a file or directory from a workspace
+    router.delete('/workspaces/:type/:name/files/*', authorize('execute'), (req, res) => {
+        const root = getRequestWorkspace(req, res);
+        if (!root) return;
+        try {
+            const target = resolveWorkspacePath(root, req.params[0]);
+            if (target === root) {
+                return res.status(400).json({ error: 'The workspace itself cannot be deleted' });
+            }
+            if (!fs.existsSync(target)) {
+                return res.status(404).json({ error: 'File not found' });
+            }
+            fs.rmSync(target, { recursive: true, force: true });
+            const user = getRequestUser(req);
+            invalidateUserUsage(user.handle);
+            getUserLog(user).info('SYSTEM', `Workspace file deleted: ${req.params.type}/${req.params.name}/${req.params[0]}`);
+            res.json({ success: true });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    // ==========================================================================
+    // SECRETS API ENDPOINTS
+    // ==========================================================================
+
+    // List secret names and the venvs they are given to; values are never sent
+    router.get('/secrets', authorize('admin'), (req, res) => {
+        try {
+            res.json({ secrets: listSecrets(), keySource: process.env[SECRETS_KEY_ENV] ? 'env' : 'file' });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Create or update a secret. The value may be left out to only change the venvs of an existing secret.
+    router.post('/secrets', authorize('admin'), (req, res) => {
+        const { name, value, venvs } = req.body;
+        if (!isValidSecretName(name)) {
+            return res.status(400).json({ error: 'Invalid secret name. Use letters, digits and underscores, not starting with a digit.' });
+        }
+        if (value !== undefined && (typeof value !== 'string' || !value)) {
+            return res.status(400).json({ error: 'Secret value must be a non-empty string' });
+        }
+        if (venvs !== undefined && (!Array.isArray(venvs) || !venvs.every(venv => typeof venv === 'string' && isValidVenvName(venv)))) {
+            return res.status(400).json({ error: 'Venvs must be a list of venv names' });
+        }
+
+        try {
+            const store = { ...loadSecrets() };
+            const existing = store[name];
+            if (!existing && value === undefined) {
+                return res.status(400).json({ error: 'A value is required for a new secret' });
+            }
+            store[name] = {
+                value: value ?? existing.value,
+                venvs: venvs ? [...new Set(venvs)] : (existing?.venvs || []),
+                updatedAt: new Date().toISOString(),
+            };
+            saveSecrets(store);
+            log.info('SYSTEM', `Secret ${existing ? 'updated' : 'created'}: ${name}`, { venvs: store[name].venvs });
+            res.json({ success: true, secrets: listSecrets() });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Delete a secret
+    router.delete('/secrets/:name', authorize('admin'), (req, res) => {
+        const { name } = req.params;
+        try {
+            const store = { ...loadSecrets() };
+            if (!store[name]) {
+                return res.status(404).json({ error: `Secret "${name}" does not exist` });
+            }
+            delete store[name];
+            saveSecrets(store);
+            log.info('SYSTEM', `Secret deleted: ${name}`);
+            res.json({ success: true, secrets: listSecrets() });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // ==========================================================================
+    // RESOURCE LIMITS API ENDPOINTS
+    // ==========================================================================
+
+    // Get resource limits
+    router.get('/limits', authorize('admin'), (req, res) => {
+        res.json({ ...limitsConfig, enforced: process.platform === 'linux' });
+    });
+
+    // Update resource limits (0 = unlimited)
+    router.post('/limits', authorize('admin'), (req, res) => {
+        const updates = {};
+        for (const key of Object.keys(limitsConfig)) {
+            if (req.body[key] !== undefined) {
+                const value = parseInt(req.body[key]);
+                if (!Number.isInteger(value) || value < 0) {
+                    return res.status(400).json({ error: `Invalid value for ${key}` });
+                }
+                updates[key] = value;
+            }
+        }
+        Object.assign(limitsConfig, updates);
+
+        saveLimitsConfig();
+        log.info('SYSTEM', 'Resource limits updated', limitsConfig);
+
+        res.json({ success: true, config: limitsConfig });
+    });
+
+    // ==========================================================================
+    // SCRIPT FILES API ENDPOINTS
+    // ==========================================================================
+
+    // Get script file settings
+    router.get('/scripts/config', authorize('admin'), (req, res) => {
+        res.json(scriptConfig);
+    });
+
+    // Update script file settings
+    router.post('/scripts/config', authorize('admin'), (req, res) => {
+        const { workDir, keepArtifacts } = req.body;
+
+        if (workDir !== undefined) {
+            if (!workDir || typeof workDir !== 'string') {
+                return res.status(400).json({ error: 'Invalid script directory' });
+            }
+            // Relative paths are relative to the plugin directory
+            const resolvedDir = path.resolve(__dirname, workDir);
+            try {
+                fs.mkdirSync(resolvedDir, { recursive: true });
+            } catch (err) {
+                return res.status(400).json({ error: `Cannot create script directory: ${err.message}` });
+            }
+            scriptConfig.workDir = resolvedDir;
+        }
+
+        if (keepArtifacts !== undefined) {
+            scriptConfig.keepArtifacts = Boolean(keepArtifacts);
+        }
+
+        saveScriptConfig();
+        log.info('SYSTEM', 'Script file settings updated', scriptConfig);
+
+        res.json({ success: true, config: scriptConfig });
+    });
+
+    // ==========================================================================
+    // AUTHORIZATION API ENDPOINTS
+    // ==========================================================================
+
+    // Get the user allowlists
+    router.get('/auth/config', authorize('admin'), (req, res) => {
+        res.json(authConfig);
+    });
+
+    // Update the user allowlists
+    router.post('/auth/config', authorize('admin'), (req, res) => {
+        for (const permission of ['execute', 'manage']) {
+            const handles = req.body[permission];
+            if (handles === undefined) continue;
+            if (!isValidHandleList(handles)) {
+                return res.status(400).json({ error: `Invalid user list for ${permission}` });
+            }
+            authConfig[permission] = [...new Set(handles)];
+        }
+
+        saveAuthConfig();
+        log.info('AUTH', 'User allowlists updated', { ...authConfig, by: getRequestUser(req).handle });
+
+        res.json({ success: true, config: authConfig });
+    });
+
+    // ==========================================================================
+    // QUOTA API ENDPOINTS
+    // ==========================================================================
+
+    // Get the quotas and the requesting user's usage (admins are exempt from quotas)
+    router.get('/quotas', authorize('execute', 'manage'), async (req, res) => {
+        const user = getRequestUser(req);
+        res.json({ quota: quotaConfig, usage: await getUserUsage(user.handle), exempt: user.admin });
+    });
+
+    // Update the quotas
+    router.post('/quotas', authorize('admin'), (req, res) => {
+        for (const key of ['maxVenvs', 'maxDiskMB']) {
+            const value = req.body[key];
+            if (value === undefined) continue;
+            if (!Number.isInteger(value) || value < 0) {
+                return res.status(400).json({ error: `${key} must be a non-negative integer` });
+            }
+            quotaConfig[key] = value;
+        }
+
+        saveQuotaConfig();
+        log.info('AUTH', 'Quotas updated', { ...quotaConfig, by: getRequestUser(req).handle });
+
+        res.json({ success: true, quota: quotaConfig });
+    });
+
     // ==========================================================================
     // LOGGING API ENDPOINTS
     // ==========================================================================
 
     // Get logging configuration
-    router.get('/logs/config', (req, res) => {
+    router.get('/logs/config', authorize('admin'), (req, res) => {
         res.json({
             enabled: logConfig.enabled,
             directory: logConfig.directory,
@@ -632,7 +3830,7 @@ async function init(router) {
     });
 
     // Update logging configuration
-    router.post('/logs/config', (req, res) => {
+    router.post('/logs/config', authorize('admin'), (req, res) => {
         const { enabled, directory, maxFileSize, levels } = req.body;
 
         if (enabled !== undefined) {
@@ -676,14 +3874,35 @@ async function init(router) {
         });
     });
 
+    // Resolve the log directory of a request: users read their own logs, admins the main logs
+    // or, with ?user=<handle>, those of a user. Answers 400 or 403 and returns null otherwise.
+    const getRequestLogDirectory = (req, res) => {
+        const user = getRequestUser(req);
+        const owner = req.query.user || null;
+        if (owner !== null && (typeof owner !== 'string' || !isValidHandle(owner))) {
+            res.status(400).json({ error: 'Invalid user handle' });
+            return null;
+        }
+        if (user.admin) {
+            return getLogDirectory(owner);
+        }
+        if (owner !== null && owner !== user.handle) {
+            denyRequest(req, res, user, ['admin'], 'Only admins can read the logs of other users');
+            return null;
+        }
+        return getLogDirectory(user.handle);
+    };
+
     // List available log files
-    router.get('/logs/files', (req, res) => {
+    router.get('/logs/files', authorize('execute', 'manage'), (req, res) => {
+        const directory = getRequestLogDirectory(req, res);
+        if (!directory) return;
         try {
-            ensureLogDirectory();
-            const files = fs.readdirSync(logConfig.directory)
+            ensureLogDirectory(directory);
+            const files = fs.readdirSync(directory)
                 .filter(f => f.endsWith('.log'))
                 .map(f => {
-                    const filePath = path.join(logConfig.directory, f);
+                    const filePath = path.join(directory, f);
                     const stats = fs.statSync(filePath);
                     return {
                         name: f,
@@ -693,22 +3912,28 @@ async function init(router) {
                 })
                 .sort((a, b) => new Date(b.modified) - new Date(a.modified));
 
-            res.json({ files, directory: logConfig.directory });
+            // Relative to the log root ('' for the main logs), so no server paths reach users
+            res.json({ files, directory: path.relative(logConfig.directory, directory).split(path.sep).join('/') });
         } catch (error) {
             res.status(500).json({ error: error.message });
         }
     });
 
     // Get log file contents (with pagination)
-    router.get('/logs', (req, res) => {
+    router.get('/logs', authorize('execute', 'manage'), (req, res) => {
         const { file, lines = 100, offset = 0 } = req.query;
+        const directory = getRequestLogDirectory(req, res);
+        if (!directory) return;
+        if (file && (typeof file !== 'string' || path.basename(file) !== file)) {
+            return res.status(400).json({ error: 'Invalid log filename' });
+        }
 
         try {
-            ensureLogDirectory();
+            ensureLogDirectory(directory);
 
             // If no file specified, use current day's log
-            const logFile = file || `pyrunner-${new Date().toISOString().split('T')[0]}.log`;
-            const logPath = path.join(logConfig.directory, logFile);
+            const logFile = file || path.basename(getLogFilePath(directory));
+            const logPath = path.join(directory, logFile);
 
             if (!fs.existsSync(logPath)) {
                 return res.json({ entries: [], total: 0, file: logFile });
@@ -740,15 +3965,17 @@ async function init(router) {
     });
 
     // Clear a specific log file
-    router.delete('/logs/:filename', (req, res) => {
+    router.delete('/logs/:filename', authorize('admin'), (req, res) => {
         const { filename } = req.params;
+        const directory = getRequestLogDirectory(req, res);
+        if (!directory) return;
 
-        if (!filename || !filename.endsWith('.log')) {
+        if (!filename || !filename.endsWith('.log') || path.basename(filename) !== filename) {
             return res.status(400).json({ error: 'Invalid log filename' });
         }
 
         try {
-            const logPath = path.join(logConfig.directory, filename);
+            const logPath = path.join(directory, filename);
             if (fs.existsSync(logPath)) {
                 fs.unlinkSync(logPath);
                 log.info('SYSTEM', `Log file deleted: ${filename}`);
@@ -761,11 +3988,34 @@ async function init(router) {
         }
     });
 
+    cleanupTimer = setInterval(() => {
+        cleanupIdleSessions();
+        cleanupFinishedJobs();
+        cleanupChildProcesses();
+    }, CLEANUP_INTERVAL);
+
+    // SillyTavern calls process.exit() on Ctrl-C and SIGTERM, which runs 'exit' listeners
+    process.on('exit', killAllChildProcesses);
+
     log.info('SYSTEM', 'PyRunner plugin initialized');
     console.log('[' + info.name + '] Plugin initialized');
 }
 
 async function exit() {
+    clearInterval(cleanupTimer);
+    for (const session of [...kernelSessions.values()]) {
+        stopKernel(session);
+    }
+    for (const runId of [...runningExecutions.keys()]) {
+        abortExecution(runId);
+    }
+    // Also catches processes that scripts left running in the background
+    const remaining = [...childProcesses.values()];
+    if (remaining.length > 0) {
+        log.info('SYSTEM', `Stopping ${remaining.length} remaining process(es)`);
+        await Promise.all(remaining.map(({ proc }) => terminateProcessTree(proc)));
+    }
+    process.off('exit', killAllChildProcesses);
     console.log('[' + info.name + '] Plugin unloaded');
 }
 
@@ -1,4 +1,47 @@
 /* global SillyTavern */
+import { PyodideWorker } from './PyodideWorker';
+import { mapTraceback, parseTraceback } from './Traceback';
+
+// How long an interrupted Pyodide run gets to stop before the worker is restarted
+const INTERRUPT_GRACE_MS = 2000;
+
+// How often to poll a background job while waiting for it
+const JOB_POLL_INTERVAL_MS = 1000;
+
+// Server executions run at once when the serverConcurrency setting is unset; the rest wait in the queue
+const DEFAULT_SERVER_CONCURRENCY = 2;
+
+// Largest answer (in UTF-8 bytes) passed to an input() call in Pyodide; longer ones are cut
+const INPUT_BUFFER_BYTES = 64 * 1024;
+
+const DEFAULT_PYODIDE_VERSION = '0.24.1';
+const PYODIDE_CDN_URL = 'https://cdn.jsdelivr.net/pyodide';
+
+/**
+ * Serialize a converted Pyodide value as JSON
+ * BigInts, Sets, Maps and typed arrays are mapped to their closest JSON form.
+ * @param {any} value
+ * @returns {string}
+ */
+function toJSON(value) {
+    return JSON.stringify(value, (key, item) => {
+        if (typeof item === 'bigint') {
+            return Number.isSafeInteger(Number(item)) ? Number(item) : item.toString();
+        }
+        if (item instanceof Set) return [...item];
+        if (item instanceof Map) return Object.fromEntries(item);
+        if (ArrayBuffer.isView(item)) return Array.from(item);
+        return item;
+    });
+}
+
+/**
+ * Create a unique ID for an execution
+ * @returns {string}
+ */
+function createRunId() {
+    return Date.now().toString(36) + Math.random().toString(36).substring(2, 10);
+}
 
 /**
  * PyRunner - Handles Python code execution via Pyodide (browser) or server plugin
@@ -7,9 +50,20 @@ export class PyRunner {
     constructor(settings) {
         this.settings = settings;
         this.mode = settings.executionMode || 'pyodide';
-        this.pyodide = null;
+        this.worker = null;
         this.pyodideReady = false;
         this.pyodideLoading = false;
+        // Interrupts need SharedArrayBuffer, which browsers only expose on cross-origin isolated pages
+        this.interruptBuffer = typeof SharedArrayBuffer !== 'undefined' && window.crossOriginIsolated
+            ? new Int32Array(new SharedArrayBuffer(4))
+            : null;
+        // Answers to input() in Pyodide: [state, length] as Int32, then the UTF-8 text (see answerPyodideInput())
+        this.inputBuffer = this.interruptBuffer ? new SharedArrayBuffer(8 + INPUT_BUFFER_BYTES) : null;
+        this.pendingInput = null;
+        this.pyodideRuns = new Set(); // Cancel callbacks for running Pyodide executions
+        this.serverRuns = new Set();  // Run IDs of running server executions
+        this.jobs = new Map();        // Queued and running executions in submission order
+        this.outputListeners = new Set();
     }
 
     /**
@@ -36,79 +90,296 @@ export class PyRunner {
      * Execute Python code
      * @param {string} code - Python code to execute
      * @param {object} options - Execution options
-     * @returns {Promise<string>} - Execution result
+     * @param {string} [options.format] - 'text' (default) or 'json'. JSON returns the value of the
+     *     trailing expression, or the printed output as a JSON string when there is none.
+     * @param {object} [options.sourceMap] - Where injected functions and the snippet start in the code,
+     *     used to map traceback line numbers (see mapTraceback())
+     * @param {string} [options.stdin] - Text the code reads from standard input
+     * @param {function(string): Promise<string|null>} [options.onInput] - Answers input() calls interactively;
+     *     gets the prompt and resolves with the answer, or null for end of input. Lines of `stdin` are used first.
+     * @param {string} [options.chat] - Server mode: run in this chat's workspace instead of the venv's
+     * @param {string[]} [options.secrets] - Server mode: names of secrets to set as environment variables
+     * @param {string} [options.network] - Server mode: 'off' to block network access for this run
+     * @returns {Promise<string>} - Execution result. Python errors reject with an Error whose
+     *     `traceback` property holds the parsed, mapped traceback; runs stopped by the venv's policy
+     *     have a `violation` property ({ permission, event, detail }) instead. In Pyodide mode, what the
+     *     code wrote to stderr before failing is in the `stderr` property.
      */
     async execute(code, options = {}) {
         const mode = options.mode || this.mode;
         const timeout = options.timeout || this.settings.timeout || 30000;
-        const venv = options.venv || this.settings.selectedVenv || 'default';
+        const runOptions = {
+            isAsync: options.async ?? null,
+            format: options.format || 'text',
+            stdin: options.stdin ?? null,
+            onInput: options.onInput ?? null,
+        };
 
+        // Interactive runs answer each input() separately, so feed them the given lines one by one
+        if (runOptions.onInput && runOptions.stdin !== null) {
+            const lines = runOptions.stdin.replace(/\n$/, '').split('\n');
+            const onInput = runOptions.onInput;
+            runOptions.onInput = async prompt => (lines.length > 0 ? lines.shift() : onInput(prompt));
+            runOptions.stdin = null;
+        }
+
+        let run;
         if (mode === 'pyodide') {
-            return this.executePyodide(code, timeout);
+            run = this.enqueue('pyodide', code, () => (
+                this.executePyodide(code, timeout, { ...runOptions, session: options.session })
+            ));
         } else {
-            return this.executeServer(code, timeout, venv);
+            const venv = options.venv || this.settings.selectedVenv || 'default';
+            run = this.enqueue('server', code, (job) => (
+                this.executeServer(code, timeout, {
+                    ...runOptions,
+                    venv,
+                    session: options.session,
+                    chat: options.chat,
+                    secrets: options.secrets,
+                    network: options.network,
+                    runId: job.id,
+                })
+            ));
         }
+
+        return run.catch((error) => {
+            if (error.traceback) {
+                error.traceback = mapTraceback(error.traceback, options.sourceMap);
+            }
+            throw error;
+        });
+    }
+
+    /**
+     * Add an execution to the queue for its mode
+     * The timeout only starts once the execution leaves the queue.
+     * @param {string} mode - 'pyodide' or 'server'
+     * @param {string} code - Python code (kept for /pyjobs)
+     * @param {function(object): Promise<string>} task - Runs the execution
+     * @returns {Promise<string>} - Resolves with the task's result
+     */
+    enqueue(mode, code, task) {
+        return new Promise((resolve, reject) => {
+            const job = {
+                id: createRunId(),
+                mode,
+                code,
+                state: 'queued',
+                queuedAt: Date.now(),
+                startedAt: null,
+                task,
+                resolve,
+                reject,
+            };
+            this.jobs.set(job.id, job);
+            this.processQueue(mode);
+        });
+    }
+
+    /**
+     * Start queued executions while the mode has free slots
+     * @param {string} mode - 'pyodide' or 'server'
+     */
+    processQueue(mode) {
+        const jobs = [...this.jobs.values()].filter(job => job.mode === mode);
+        let running = jobs.filter(job => job.state === 'running').length;
+
+        for (const job of jobs) {
+            if (running >= this.getConcurrency(mode)) break;
+            if (job.state !== 'queued') continue;
+
+            running++;
+            job.state = 'running';
+            job.startedAt = Date.now();
+            job.task(job)
+                .then(job.resolve, job.reject)
+                .finally(() => {
+                    this.jobs.delete(job.id);
+                    this.processQueue(mode);
+                });
+        }
+    }
+
+    /**
+     * Get the number of executions a mode may run at once
+     * @param {string} mode - 'pyodide' or 'server'
+     * @returns {number}
+     */
+    getConcurrency(mode) {
+        // Pyodide has a single interpreter, so its runs always go one at a time
+        if (mode === 'pyodide') {
+            return 1;
+        }
+        return Math.max(1, parseInt(this.settings.serverConcurrency) || DEFAULT_SERVER_CONCURRENCY);
+    }
+
+    /**
+     * List queued and running executions
+     * @returns {Array<{id: string, mode: string, state: string, elapsed: number, code: string}>}
+     */
+    getJobs() {
+        const now = Date.now();
+        return [...this.jobs.values()].map(job => ({
+            id: job.id,
+            mode: job.mode,
+            state: job.state,
+            elapsed: now - (job.startedAt ?? job.queuedAt),
+            code: job.code,
+        }));
     }
 
     /**
      * Execute code using Pyodide (browser-based Python)
+     * Each run gets a fresh namespace unless a session name is given.
      * @param {string} code - Python code
      * @param {number} timeout - Timeout in ms
+     * @param {object} [options]
+     * @param {string} [options.session] - Named session whose variables persist between runs
+     * @param {boolean|null} [options.isAsync] - Run with top-level await support (detected if null)
+     * @param {string} [options.format] - 'text' or 'json'
+     * @param {string} [options.stdin] - Text for standard input
+     * @param {function(string): Promise<string|null>} [options.onInput] - Answers input() calls
      * @returns {Promise<string>}
      */
-    async executePyodide(code, timeout) {
+    async executePyodide(code, timeout, options = {}) {
+        const { session = null, isAsync = null, format = 'text', stdin = null, onInput = null } = options;
+        if (onInput && !this.inputBuffer) {
+            // The worker has to block inside input() until the answer arrives
+            throw new Error('Interactive input in Pyodide needs a cross-origin isolated page (SharedArrayBuffer)');
+        }
         if (!this.pyodideReady) {
             await this.initPyodide();
         }
 
-        return new Promise((resolve, reject) => {
-            const timeoutId = setTimeout(() => {
-                reject(new Error('Execution timed out'));
-            }, timeout);
+        this.worker.onInput = onInput ? prompt => this.requestPyodideInput(prompt, onInput) : null;
+        const run = this.worker.call('execute', {
+            code,
+            session,
+            isAsync,
+            stdin,
+            interactive: Boolean(onInput),
+            autoLoadPackages: this.settings.autoLoadPackages !== false,
+        });
 
-            try {
-                // Capture stdout
-                this.pyodide.runPython(`
-import sys
-from io import StringIO
-sys.stdout = StringIO()
-sys.stderr = StringIO()
-`);
-
-                // Execute the user's code
-                let result;
-                try {
-                    result = this.pyodide.runPython(code);
-                } catch (pyError) {
-                    clearTimeout(timeoutId);
-                    // Get stderr if available
-                    const stderr = this.pyodide.runPython('sys.stderr.getvalue()');
-                    reject(new Error(stderr || pyError.message));
-                    return;
-                }
+        let cancelRun;
+        let interrupted = null;
+        const cancelPromise = new Promise((_, reject) => {
+            cancelRun = (error) => {
+                reject(error);
+                interrupted = this.interruptPyodide(run);
+            };
+        });
+        this.pyodideRuns.add(cancelRun);
 
-                // Get stdout
-                const stdout = this.pyodide.runPython('sys.stdout.getvalue()');
+        const timeoutId = setTimeout(() => cancelRun(new Error('Execution timed out')), timeout);
 
-                clearTimeout(timeoutId);
+        try {
+            const { stdout, stderr, result, value, loadedPackages } = await Promise.race([run, cancelPromise]);
 
-                // Return stdout if there's output, otherwise return the result
-                if (stdout && stdout.trim()) {
-                    resolve(stdout.trim());
-                } else if (result !== undefined && result !== null) {
-                    resolve(String(result));
-                } else {
-                    resolve('');
-                }
-            } catch (error) {
-                clearTimeout(timeoutId);
-                reject(error);
+            if (loadedPackages.length > 0) {
+                console.log(`[PyRunner] Loaded Pyodide packages from imports: ${loadedPackages.join(', ')}`);
+                window.toastr?.info(`Loaded packages: ${loadedPackages.join(', ')}`, 'PyRunner');
             }
-        });
+
+            if (stderr && stderr.trim()) {
+                console.warn(`[PyRunner] Pyodide stderr:\n${stderr}`);
+            }
+
+            if (format === 'json') {
+                return value !== null && value !== undefined ? toJSON(value) : JSON.stringify(stdout.trim());
+            }
+
+            // Return stdout if there's output, otherwise return the result
+            if (stdout && stdout.trim()) {
+                return stdout.trim();
+            }
+            return result ?? '';
+        } catch (error) {
+            if (error.stderr && error.stderr.trim()) {
+                console.warn(`[PyRunner] Pyodide stderr:\n${error.stderr}`);
+            }
+            error.traceback = parseTraceback(error.message);
+            throw error;
+        } finally {
+            clearTimeout(timeoutId);
+            this.pyodideRuns.delete(cancelRun);
+            // Hold the queue slot until a cancelled run has actually stopped
+            await interrupted;
+            this.pendingInput = null;
+            if (this.worker) {
+                this.worker.onInput = null;
+            }
+        }
     }
 
     /**
-     * Initialize Pyodide
+     * Ask for the answer to an input() call in Pyodide and pass it to the waiting worker
+     * @param {string} prompt - Prompt given to input()
+     * @param {function(string): Promise<string|null>} onInput
+     */
+    async requestPyodideInput(prompt, onInput) {
+        const request = {};
+        this.pendingInput = request;
+        let text = null;
+        try {
+            text = await onInput(prompt);
+        } catch (error) {
+            console.error('[PyRunner] Input handler failed:', error);
+        }
+        // Drop answers for runs that were cancelled while the prompt was open
+        if (this.pendingInput === request) {
+            this.answerPyodideInput(text);
+        }
+    }
+
+    /**
+     * Wake the worker blocked in input()
+     * @param {string|null} text - The answer, or null for end of input
+     */
+    answerPyodideInput(text) {
+        this.pendingInput = null;
+        const header = new Int32Array(this.inputBuffer, 0, 2);
+        if (text === null || text === undefined) {
+            header[1] = -1;
+        } else {
+            const { written } = new TextEncoder().encodeInto(String(text), new Uint8Array(this.inputBuffer, 8));
+            header[1] = written;
+        }
+        Atomics.store(header, 0, 1);
+        Atomics.notify(header, 0);
+    }
+
+    /**
+     * Stop a running Pyodide execution, keeping the interpreter if possible
+     * @param {Promise} run - The pending worker execution
+     * @returns {Promise<void>} - Resolves once the interpreter is free for the next run
+     */
+    async interruptPyodide(run) {
+        if (!this.interruptBuffer) {
+            // Without an interrupt buffer the only way to stop the code is to kill the worker
+            this.restartPyodide();
+            return;
+        }
+
+        Atomics.store(this.interruptBuffer, 0, 2);
+        // Code waiting in input() only sees the interrupt once it returns
+        if (this.pendingInput) {
+            this.answerPyodideInput(null);
+        }
+
+        // Code blocked outside the interpreter never sees the interrupt, so restart as a fallback
+        const stopped = run.then(() => true, () => true);
+        const gracePeriod = new Promise(r => setTimeout(() => r(false), INTERRUPT_GRACE_MS));
+        const didStop = await Promise.race([stopped, gracePeriod]);
+        if (!didStop) {
+            console.warn('[PyRunner] Pyodide did not respond to interrupt, restarting worker');
+            this.restartPyodide();
+        }
+    }
+
+    /**
+     * Initialize Pyodide in a Web Worker
      * @returns {Promise<void>}
      */
     async initPyodide() {
@@ -127,17 +398,27 @@ sys.stderr = StringIO()
         this.pyodideLoading = true;
 
         try {
-            // Load Pyodide from CDN
-            if (!window.loadPyodide) {
-                await this.loadScript('https://cdn.jsdelivr.net/pyodide/v0.24.1/full/pyodide.js');
-            }
-
-            this.pyodide = await window.loadPyodide({
-                indexURL: 'https://cdn.jsdelivr.net/pyodide/v0.24.1/full/',
-            });
+            const errors = [];
+            for (const indexURL of this.getPyodideIndexURLs()) {
+                try {
+                    this.worker = new PyodideWorker();
+                    await this.worker.call('init', {
+                        indexURL,
+                        interruptBuffer: this.interruptBuffer,
+                        inputBuffer: this.inputBuffer,
+                    });
 
-            this.pyodideReady = true;
-            console.log('[PyRunner] Pyodide initialized');
+                    this.pyodideReady = true;
+                    console.log(`[PyRunner] Pyodide initialized from ${indexURL}`);
+                    await this.reinstallPyodidePackages();
+                    return;
+                } catch (error) {
+                    console.warn(`[PyRunner] Could not load Pyodide from ${indexURL}:`, error.message);
+                    errors.push(`${indexURL}: ${error.message}`);
+                    this.terminatePyodide();
+                }
+            }
+            throw new Error(errors.join('; '));
         } catch (error) {
             console.error('[PyRunner] Failed to initialize Pyodide:', error);
             throw new Error('Failed to initialize Pyodide: ' + error.message);
@@ -147,17 +428,195 @@ sys.stderr = StringIO()
     }
 
     /**
-     * Load a script dynamically
-     * @param {string} src - Script URL
+     * Get the Pyodide index URLs to try, in order
+     * A custom indexURL is used on its own; otherwise the copy served by the
+     * server plugin is tried first, falling back to the CDN.
+     * @returns {string[]}
+     */
+    getPyodideIndexURLs() {
+        const toAbsolute = (url) => {
+            // The worker runs from a blob: URL, so relative URLs must be resolved here
+            const absolute = new URL(url, window.location.href).href;
+            return absolute.endsWith('/') ? absolute : absolute + '/';
+        };
+
+        if (this.settings.pyodideIndexURL) {
+            return [toAbsolute(this.settings.pyodideIndexURL)];
+        }
+
+        const version = this.settings.pyodideVersion || DEFAULT_PYODIDE_VERSION;
+        return [
+            toAbsolute(`${this.settings.serverUrl}/pyodide/${version}/`),
+            `${PYODIDE_CDN_URL}/v${version}/full/`,
+        ];
+    }
+
+    /**
+     * Re-install the tracked Pyodide packages into a fresh interpreter
      * @returns {Promise<void>}
      */
-    loadScript(src) {
-        return new Promise((resolve, reject) => {
-            const script = document.createElement('script');
-            script.src = src;
-            script.onload = resolve;
-            script.onerror = () => reject(new Error(`Failed to load script: ${src}`));
-            document.head.appendChild(script);
+    async reinstallPyodidePackages() {
+        const packages = this.settings.pyodidePackages || [];
+        if (packages.length === 0) {
+            return;
+        }
+
+        try {
+            await this.worker.call('install', { packages });
+            console.log(`[PyRunner] Re-installed Pyodide packages: ${packages.join(', ')}`);
+        } catch (error) {
+            // Keep the interpreter usable even if a package is unavailable
+            console.warn('[PyRunner] Failed to re-install Pyodide packages:', error.message);
+        }
+    }
+
+    /**
+     * Install packages into Pyodide and remember them for future sessions
+     * Packages shipped with Pyodide are loaded with loadPackage, others with micropip.
+     * @param {string[]} packages - Package names or requirement specifiers
+     * @returns {Promise<string>} - Result message
+     */
+    async installPyodidePackages(packages) {
+        if (!this.pyodideReady) {
+            await this.initPyodide();
+        }
+
+        await this.worker.call('install', { packages });
+
+        const tracked = this.settings.pyodidePackages || [];
+        this.settings.pyodidePackages = [...tracked, ...packages.filter(p => !tracked.includes(p))];
+        SillyTavern.getContext().saveSettingsDebounced();
+
+        return `Successfully installed: ${packages.join(', ')}`;
+    }
+
+    /**
+     * Uninstall packages from Pyodide and stop re-installing them
+     * @param {string[]} packages - Package names
+     * @returns {Promise<string>} - Result message
+     */
+    async uninstallPyodidePackages(packages) {
+        if (!this.pyodideReady) {
+            await this.initPyodide();
+        }
+
+        await this.worker.call('uninstall', { packages });
+
+        const names = packages.map(p => p.toLowerCase());
+        this.settings.pyodidePackages = (this.settings.pyodidePackages || [])
+            .filter(p => !names.includes(p.split(/[<>=!~;[\s]/)[0].toLowerCase()));
+        SillyTavern.getContext().saveSettingsDebounced();
+
+        return `Successfully uninstalled: ${packages.join(', ')}`;
+    }
+
+    /**
+     * List packages installed in the Pyodide interpreter
+     * @returns {Promise<Array<{name: string, version: string}>>}
+     */
+    async listPyodidePackages() {
+        return this.callPyodide('listPackages');
+    }
+
+    /**
+     * List named Pyodide sessions and the variables they hold
+     * @returns {Promise<Array<{name: string, variables: string[]}>>}
+     */
+    async listPyodideSessions() {
+        if (!this.pyodideReady) {
+            return [];
+        }
+        return this.worker.call('listSessions');
+    }
+
+    /**
+     * Reset a named Pyodide session, or all sessions
+     * @param {string} [name] - Session name (all sessions if omitted)
+     * @returns {Promise<number>} - Number of sessions reset
+     */
+    async resetPyodideSession(name = null) {
+        if (!this.pyodideReady) {
+            return 0;
+        }
+        const { count } = await this.worker.call('resetSession', { name });
+        return count;
+    }
+
+    /**
+     * List files in the persistent Pyodide directory (/home/pyodide/persist)
+     * @returns {Promise<Array<{path: string, size: number, modified: string}>>}
+     */
+    async listPersistentFiles() {
+        return this.callPyodide('listFiles');
+    }
+
+    /**
+     * Read a file from the persistent Pyodide directory
+     * @param {string} path - Path relative to the persistent directory
+     * @returns {Promise<Uint8Array>}
+     */
+    async readPersistentFile(path) {
+        return this.callPyodide('readFile', { path });
+    }
+
+    /**
+     * Write a file to the persistent Pyodide directory
+     * @param {string} path - Path relative to the persistent directory
+     * @param {Uint8Array} data - File contents
+     * @returns {Promise<void>}
+     */
+    async writePersistentFile(path, data) {
+        await this.callPyodide('writeFile', { path, data });
+    }
+
+    /**
+     * Delete a file from the persistent Pyodide directory
+     * @param {string} path - Path relative to the persistent directory
+     * @returns {Promise<void>}
+     */
+    async deletePersistentFile(path) {
+        await this.callPyodide('deleteFile', { path });
+    }
+
+    /**
+     * Delete everything in the persistent Pyodide directory
+     * @returns {Promise<void>}
+     */
+    async clearPersistentFiles() {
+        await this.callPyodide('clearFiles');
+    }
+
+    /**
+     * Send a request to the Pyodide worker, loading Pyodide first if needed
+     * @param {string} type - Worker message type
+     * @param {object} [payload] - Message payload
+     * @returns {Promise<any>}
+     */
+    async callPyodide(type, payload = {}) {
+        if (!this.pyodideReady) {
+            await this.initPyodide();
+        }
+        return this.worker.call(type, payload);
+    }
+
+    /**
+     * Terminate the Pyodide worker, discarding the interpreter state
+     */
+    terminatePyodide() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.pyodideReady = false;
+    }
+
+    /**
+     * Terminate the Pyodide worker and spawn a fresh one in the background
+     */
+    restartPyodide() {
+        this.terminatePyodide();
+        this.initPyodide().catch(() => {
+            // Already logged by initPyodide; the next execution retries
         });
     }
 
@@ -165,56 +624,512 @@ sys.stderr = StringIO()
      * Execute code via server plugin
      * @param {string} code - Python code
      * @param {number} timeout - Timeout in ms
-     * @param {string} venv - Virtual environment name
+     * @param {object} [options]
+     * @param {string} [options.venv] - Virtual environment name
+     * @param {boolean|null} [options.isAsync] - Run inside an asyncio event loop (detected if null)
+     * @param {string} [options.format] - 'text' or 'json'
+     * @param {string} [options.session] - Kernel session whose state persists between runs
+     * @param {string} [options.runId] - ID used to abort the execution
+     * @param {string} [options.stdin] - Text for standard input
+     * @param {function(string): Promise<string|null>} [options.onInput] - Answers input() calls
+     * @param {string} [options.chat] - Run in this chat's workspace instead of the venv's
+     * @param {string[]} [options.secrets] - Names of secrets to set as environment variables
+     * @param {string} [options.network] - 'off' to block network access
      * @returns {Promise<string>}
      */
-    async executeServer(code, timeout, venv = 'default') {
+    async executeServer(code, timeout, options = {}) {
+        const {
+            venv = 'default', isAsync = null, format = 'text', session = null, runId = createRunId(),
+            stdin = null, onInput = null, chat = null, secrets = [], network = null,
+        } = options;
+        if (onInput && session) {
+            throw new Error('Interactive input is not supported in server sessions');
+        }
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), timeout);
+        this.serverRuns.add(runId);
+
+        // Sessions run in a long-lived kernel; everything else gets a fresh process,
+        // streaming its output as it runs unless disabled. Input requests arrive on the stream.
+        const stream = !session && (this.settings.streamOutput !== false || Boolean(onInput));
+        let endpoint = stream ? '/execute/stream' : '/execute';
+        if (session) {
+            endpoint = `/sessions/${encodeURIComponent(venv)}/${encodeURIComponent(session)}/execute`;
+        }
+
+        this.emitOutput({ runId, type: 'start', code, venv });
+        let error = null;
 
         try {
-            const response = await fetch(`${this.settings.serverUrl}/execute`, {
+            const response = await fetch(`${this.settings.serverUrl}${endpoint}`, {
                 method: 'POST',
                 headers: this.getHeaders(),
-                body: JSON.stringify({ code, timeout, venv }),
+                body: JSON.stringify({
+                    code, timeout, venv, runId, async: isAsync, format, stdin, interactive: Boolean(onInput), chat, secrets, network,
+                }),
                 signal: controller.signal,
             });
 
-            clearTimeout(timeoutId);
-
             if (!response.ok) {
-                const error = await response.text();
-                throw new Error(error || `Server error: ${response.status}`);
+                const errorText = await response.text();
+                throw new Error(errorText || `Server error: ${response.status}`);
             }
 
-            const result = await response.json();
+            const result = stream ? await this.readExecutionStream(response, runId, onInput) : await response.json();
+            clearTimeout(timeoutId);
 
             if (result.error) {
-                throw new Error(result.error);
+                const executionError = new Error(result.error);
+                executionError.traceback = parseTraceback(result.error);
+                executionError.violation = result.violation ?? null;
+                throw executionError;
+            }
+
+            if (format === 'json') {
+                return result.result ?? JSON.stringify((result.output || '').trim());
             }
 
             return result.output || '';
-        } catch (error) {
+        } catch (err) {
             clearTimeout(timeoutId);
-            if (error.name === 'AbortError') {
-                throw new Error('Execution timed out');
-            }
+            error = err.name === 'AbortError' ? new Error('Execution timed out') : err;
             throw error;
+        } finally {
+            this.serverRuns.delete(runId);
+            this.emitOutput({ runId, type: 'exit', error: error?.message ?? null });
         }
     }
 
+    /**
+     * Read the NDJSON events of a streamed execution, emitting output as it arrives
+     * @param {Response} response - Response from /execute/stream
+     * @param {string} runId - Run ID for the emitted events
+     * @param {function(string): Promise<string|null>} [onInput] - Answers input requests
+     * @returns {Promise<{output: string, error: string|null, result: string|null, violation: object|null}>} - The exit event
+     */
+    async readExecutionStream(response, runId, onInput = null) {
+        const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+        let buffer = '';
+        let exit = null;
+
+        for (;;) {
+            const { value, done } = await reader.read();
+            if (done) break;
+
+            buffer += value;
+            let newline;
+            while ((newline = buffer.indexOf('\n')) !== -1) {
+                const event = JSON.parse(buffer.substring(0, newline));
+                buffer = buffer.substring(newline + 1);
+                if (event.type === 'exit') {
+                    exit = event;
+                } else if (event.type === 'input') {
+                    // Keep reading while the answer is pending, so output and the exit still arrive
+                    this.answerServerInput(runId, event.prompt, onInput);
+                } else {
+                    this.emitOutput({ runId, type: event.type, data: event.data });
+                }
+            }
+        }
+
+        if (!exit) {
+            throw new Error('Execution stream ended unexpectedly');
+        }
+        return exit;
+    }
+
+    /**
+     * Ask for the answer to an input() call in a server execution and send it to the process
+     * @param {string} runId
+     * @param {string} prompt - Prompt given to input()
+     * @param {function(string): Promise<string|null>} [onInput]
+     */
+    async answerServerInput(runId, prompt, onInput) {
+        let text = null;
+        try {
+            text = onInput ? await onInput(prompt) : null;
+        } catch (error) {
+            console.error('[PyRunner] Input handler failed:', error);
+        }
+        if (!this.serverRuns.has(runId)) {
+            return;
+        }
+        try {
+            await fetch(`${this.settings.serverUrl}/input`, {
+                method: 'POST',
+                headers: this.getHeaders(),
+                body: JSON.stringify({ runId, text: text ?? null }),
+            });
+        } catch (error) {
+            console.error('[PyRunner] Failed to send input:', error);
+        }
+    }
+
+    /**
+     * Subscribe to live output from server executions
+     * Listeners get { runId, type: 'start' | 'stdout' | 'stderr' | 'exit', ... } events.
+     * @param {function(object): void} listener
+     * @returns {function(): void} - Unsubscribes the listener
+     */
+    onOutput(listener) {
+        this.outputListeners.add(listener);
+        return () => this.outputListeners.delete(listener);
+    }
+
+    /**
+     * Send an output event to all listeners
+     * @param {object} event
+     */
+    emitOutput(event) {
+        for (const listener of this.outputListeners) {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error('[PyRunner] Output listener error:', error);
+            }
+        }
+    }
+
+    /**
+     * Call a server plugin endpoint and parse its JSON response
+     * @param {string} path - Endpoint path, e.g. '/sessions'
+     * @param {object} [options] - fetch options
+     * @returns {Promise<object>}
+     */
+    async serverRequest(path, options = {}) {
+        const response = await fetch(`${this.settings.serverUrl}${path}`, {
+            headers: this.getHeaders(),
+            ...options,
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `Server error: ${response.status}`);
+        }
+        return data;
+    }
+
+    /**
+     * List running server kernel sessions
+     * @returns {Promise<Array<{name: string, venv: string, busy: boolean, executions: number, lastUsed: string}>>}
+     */
+    async listServerSessions() {
+        const { sessions } = await this.serverRequest('/sessions');
+        return sessions;
+    }
+
+    /**
+     * Get a server session's details and variables
+     * @param {string} venv - Virtual environment name
+     * @param {string} name - Session name
+     * @returns {Promise<{variables: Array<{name: string, type: string, repr: string}>}>}
+     */
+    async inspectServerSession(venv, name) {
+        return this.serverRequest(`/sessions/${encodeURIComponent(venv)}/${encodeURIComponent(name)}`);
+    }
+
+    /**
+     * Restart a server session's kernel, clearing its state
+     * @param {string} venv - Virtual environment name
+     * @param {string} name - Session name
+     */
+    async restartServerSession(venv, name) {
+        await this.serverRequest(`/sessions/${encodeURIComponent(venv)}/${encodeURIComponent(name)}/restart`, {
+            method: 'POST',
+        });
+    }
+
+    /**
+     * Shut down a server session's kernel
+     * @param {string} venv - Virtual environment name
+     * @param {string} name - Session name
+     */
+    async shutdownServerSession(venv, name) {
+        await this.serverRequest(`/sessions/${encodeURIComponent(venv)}/${encodeURIComponent(name)}`, {
+            method: 'DELETE',
+        });
+    }
+
+    /**
+     * Start a background job on the server
+     * Jobs bypass the execution queue and may run for hours.
+     * @param {string} code - Python code
+     * @param {object} [options]
+     * @param {string} [options.venv] - Virtual environment name
+     * @param {number} [options.timeout] - Timeout in ms (server default if omitted)
+     * @param {boolean} [options.async] - Run inside an asyncio event loop (auto-detected if omitted)
+     * @param {string} [options.stdin] - Text for standard input
+     * @param {string} [options.format] - 'text' or 'json'
+     * @param {string} [options.chat] - Run in this chat's workspace instead of the venv's
+     * @param {string[]} [options.secrets] - Names of secrets to set as environment variables
+     * @param {string} [options.network] - 'off' to block network access
+     * @returns {Promise<string>} - Job ID
+     */
+    async startServerJob(code, options = {}) {
+        const { jobId } = await this.serverRequest('/jobs', {
+            method: 'POST',
+            body: JSON.stringify({
+                code,
+                venv: options.venv || this.settings.selectedVenv || 'default',
+                timeout: options.timeout,
+                async: options.async ?? null,
+                format: options.format || 'text',
+                stdin: options.stdin ?? null,
+                chat: options.chat ?? null,
+                secrets: options.secrets ?? [],
+                network: options.network ?? null,
+            }),
+        });
+        return jobId;
+    }
+
+    /**
+     * Get a background job's status and output so far
+     * @param {string} id - Job ID
+     * @returns {Promise<{id: string, status: string, format: string, output: string, error: string|null, result: string|null}>}
+     */
+    async getServerJob(id) {
+        return this.serverRequest(`/jobs/${encodeURIComponent(id)}`);
+    }
+
+    /**
+     * List background jobs on the server
+     * @returns {Promise<Array<{id: string, status: string, venv: string, code: string, elapsed: number}>>}
+     */
+    async listServerJobs() {
+        const { jobs } = await this.serverRequest('/jobs');
+        return jobs;
+    }
+
+    /**
+     * Cancel a running background job, or remove a finished one
+     * @param {string} id - Job ID
+     * @returns {Promise<string>} - Server message
+     */
+    async cancelServerJob(id) {
+        const { message } = await this.serverRequest(`/jobs/${encodeURIComponent(id)}`, { method: 'DELETE' });
+        return message;
+    }
+
+    /**
+     * Wait for a background job to finish
+     * @param {string} id - Job ID
+     * @param {number} [timeout] - Give up after this many ms (0 = wait indefinitely)
+     * @returns {Promise<object>} - The finished job
+     */
+    async waitForServerJob(id, timeout = 0) {
+        const startedAt = Date.now();
+        for (;;) {
+            const job = await this.getServerJob(id);
+            if (job.status !== 'running') {
+                return job;
+            }
+            if (timeout && Date.now() - startedAt >= timeout) {
+                throw new Error(`Timed out waiting for job "${id}"`);
+            }
+            await new Promise(r => setTimeout(r, JOB_POLL_INTERVAL_MS));
+        }
+    }
+
+    /**
+     * Get the URL of a workspace's files endpoint
+     * @param {string} type - 'venv' or 'chat'
+     * @param {string} name - Venv name or chat workspace name
+     * @param {string} [filePath] - Path of a file in the workspace
+     * @returns {string} - Path relative to the server URL
+     */
+    getWorkspacePath(type, name, filePath = null) {
+        const base = `/workspaces/${encodeURIComponent(type)}/${encodeURIComponent(name)}/files`;
+        return filePath ? `${base}/${filePath.split('/').map(encodeURIComponent).join('/')}` : base;
+    }
+
+    /**
+     * List the files in a server workspace
+     * @param {string} type - 'venv' or 'chat'
+     * @param {string} name - Venv name or chat workspace name
+     * @returns {Promise<Array<{path: string, size: number, modified: string}>>}
+     */
+    async listWorkspaceFiles(type, name) {
+        const { files } = await this.serverRequest(this.getWorkspacePath(type, name));
+        return files;
+    }
+
+    /**
+     * Download a file from a server workspace
+     * @param {string} type - 'venv' or 'chat'
+     * @param {string} name - Venv name or chat workspace name
+     * @param {string} filePath - Path relative to the workspace
+     * @returns {Promise<Blob>}
+     */
+    async readWorkspaceFile(type, name, filePath) {
+        const response = await fetch(`${this.settings.serverUrl}${this.getWorkspacePath(type, name, filePath)}`, {
+            headers: this.getHeaders(),
+        });
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || `Server error: ${response.status}`);
+        }
+        return response.blob();
+    }
+
+    /**
+     * Upload a file into a server workspace
+     * @param {string} type - 'venv' or 'chat'
+     * @param {string} name - Venv name or chat workspace name
+     * @param {string} filePath - Path relative to the workspace
+     * @param {Uint8Array} data - File contents
+     */
+    async writeWorkspaceFile(type, name, filePath, data) {
+        // Encode in chunks, since spreading a large array into String.fromCharCode overflows the stack
+        let binary = '';
+        for (let i = 0; i < data.length; i += 0x8000) {
+            binary += String.fromCharCode(...data.subarray(i, i + 0x8000));
+        }
+        await this.serverRequest(this.getWorkspacePath(type, name), {
+            method: 'POST',
+            body: JSON.stringify({ path: filePath, data: btoa(binary) }),
+        });
+    }
+
+    /**
+     * Rename or move a file within a server workspace
+     * @param {string} type - 'venv' or 'chat'
+     * @param {string} name - Venv name or chat workspace name
+     * @param {string} from - Current path relative to the workspace
+     * @param {string} to - New path relative to the workspace
+     */
+    async renameWorkspaceFile(type, name, from, to) {
+        await this.serverRequest(`/workspaces/${encodeURIComponent(type)}/${encodeURIComponent(name)}/rename`, {
+            method: 'POST',
+            body: JSON.stringify({ from, to }),
+        });
+    }
+
+    /**
+     * Delete a file or directory from a server workspace
+     * @param {string} type - 'venv' or 'chat'
+     * @param {string} name - Venv name or chat workspace name
+     * @param {string} filePath - Path relative to the workspace
+     */
+    async deleteWorkspaceFile(type, name, filePath) {
+        await this.serverRequest(this.getWorkspacePath(type, name, filePath), { method: 'DELETE' });
+    }
+
+    /**
+     * Get a server venv's policy: which of fileWrite, subprocess, network and ctypes its code may use
+     * @param {string} venv - Venv name
+     * @returns {Promise<{policy: {fileWrite: boolean, subprocess: boolean, network: boolean, ctypes: boolean}, namespaces: boolean}>}
+     *     namespaces tells whether runs without network access also get an empty network namespace
+     */
+    async getVenvPolicy(venv) {
+        return this.serverRequest(`/venvs/${encodeURIComponent(venv)}/policy`);
+    }
+
+    /**
+     * Change permissions in a server venv's policy
+     * @param {string} venv - Venv name
+     * @param {object} updates - Permissions to change, e.g. { fileWrite: false }
+     * @returns {Promise<object>} - The venv's new policy
+     */
+    async setVenvPolicy(venv, updates) {
+        const { policy } = await this.serverRequest(`/venvs/${encodeURIComponent(venv)}/policy`, {
+            method: 'POST',
+            body: JSON.stringify(updates),
+        });
+        return policy;
+    }
+
+    /**
+     * List the secrets stored on the server (names only, never values)
+     * @returns {Promise<{secrets: Array<{name: string, venvs: string[], updatedAt: string}>, keySource: string}>}
+     */
+    async listSecrets() {
+        return this.serverRequest('/secrets');
+    }
+
+    /**
+     * Create or update a secret on the server
+     * @param {string} name - Secret name, also the environment variable name
+     * @param {string} [value] - New value; leave out to keep the current one
+     * @param {string[]} [venvs] - Venvs whose executions always get the secret
+     * @returns {Promise<Array<{name: string, venvs: string[], updatedAt: string}>>}
+     */
+    async setSecret(name, value, venvs) {
+        const { secrets } = await this.serverRequest('/secrets', {
+            method: 'POST',
+            body: JSON.stringify({ name, value, venvs }),
+        });
+        return secrets;
+    }
+
+    /**
+     * Delete a secret on the server
+     * @param {string} name - Secret name
+     * @returns {Promise<Array<{name: string, venvs: string[], updatedAt: string}>>}
+     */
+    async deleteSecret(name) {
+        const { secrets } = await this.serverRequest(`/secrets/${encodeURIComponent(name)}`, { method: 'DELETE' });
+        return secrets;
+    }
+
+    /**
+     * Cancel all queued and running executions in both modes
+     * @returns {Promise<number>} - Number of executions cancelled
+     */
+    async abort() {
+        let count = 0;
+
+        for (const job of [...this.jobs.values()]) {
+            if (job.state === 'queued') {
+                this.jobs.delete(job.id);
+                job.reject(new Error('Execution aborted'));
+                count++;
+            }
+        }
+
+        for (const cancelRun of [...this.pyodideRuns]) {
+            cancelRun(new Error('Execution aborted'));
+            count++;
+        }
+
+        const runIds = [...this.serverRuns];
+        await Promise.all(runIds.map(async (runId) => {
+            try {
+                const response = await fetch(`${this.settings.serverUrl}/abort`, {
+                    method: 'POST',
+                    headers: this.getHeaders(),
+                    body: JSON.stringify({ runId }),
+                });
+                const result = await response.json();
+                count += result.aborted || 0;
+            } catch (error) {
+                console.error('[PyRunner] Failed to abort server execution:', error);
+            }
+        }));
+
+        return count;
+    }
+
     /**
      * Check if server plugin is available
      * @returns {Promise<boolean>}
      */
     async checkServerAvailable() {
+        return (await this.getServerStatus()) !== null;
+    }
+
+    /**
+     * Get the server plugin's status, including what the current SillyTavern user may do
+     * @returns {Promise<{venvs: string[], access: {user: string, admin: boolean, execute: boolean, manage: boolean}} | null>}
+     *     null if the plugin is not available
+     */
+    async getServerStatus() {
         try {
             const response = await fetch(`${this.settings.serverUrl}/status`, {
                 method: 'GET',
             });
-            return response.ok;
+            return response.ok ? await response.json() : null;
         } catch {
-            return false;
+            return null;
         }
     }
 }
@@ -0,0 +1,471 @@
+/**
+ * PyodideWorker - Runs the Pyodide interpreter inside a dedicated Web Worker
+ *
+ * The worker source is embedded as a string and loaded from a Blob URL, so the
+ * extension still ships as a single bundle file.
+ */
+
+// Worker source code (runs in the worker global scope)
+const WORKER_SOURCE = `
+let pyodide = null;
+let pyodideIndexURL = null;
+let interruptBuffer = null;
+let inputBuffer = null;
+let lockfilePackages = null;
+
+// Named namespaces that keep their variables between runs
+const sessions = new Map();
+
+// Checks whether code awaits at top level: compiled with top-level await allowed, such code becomes
+// a coroutine. Code that does not compile counts as synchronous; running it reports the error.
+const AWAIT_CHECK_SOURCE = \`
+import ast, inspect
+def awaits_at_top_level(source):
+    try:
+        compiled = compile(source, "<exec>", "exec", flags=ast.PyCF_ALLOW_TOP_LEVEL_AWAIT)
+    except SyntaxError:
+        return False
+    return bool(compiled.co_flags & inspect.CO_COROUTINE)
+\`;
+
+// awaits_at_top_level() from AWAIT_CHECK_SOURCE, set up once by init()
+let awaitsAtTopLevel = null;
+
+// Python's dict, kept by init() for creating namespaces without a new proxy each time
+let createDict = null;
+
+// Directory backed by IndexedDB so files survive page reloads
+const PERSIST_DIR = '/home/pyodide/persist';
+
+/**
+ * Normalize a requirement (e.g. "Scikit_Learn>=1.0") to a package name
+ */
+function packageName(requirement) {
+    return requirement.split(/[<>=!~;\\[\\s]/)[0].toLowerCase().replace(/_/g, '-');
+}
+
+/**
+ * Get the names of packages built into the Pyodide distribution
+ */
+async function getLockfilePackages() {
+    if (!lockfilePackages) {
+        const response = await fetch(pyodideIndexURL + 'pyodide-lock.json');
+        const lockfile = response.ok ? await response.json() : { packages: {} };
+        lockfilePackages = new Set(Object.keys(lockfile.packages || {}));
+    }
+    return lockfilePackages;
+}
+
+/**
+ * Get the globals dict for a run: a fresh one, or the named session's
+ */
+function getNamespace(session) {
+    if (session && sessions.has(session)) {
+        return sessions.get(session);
+    }
+    const namespace = createDict();
+    namespace.set('__name__', '__main__');
+    if (session) {
+        sessions.set(session, namespace);
+    }
+    return namespace;
+}
+
+/**
+ * Sync the persistent directory with IndexedDB
+ * @param {boolean} populate - true to load from IndexedDB, false to save to it
+ */
+function syncPersistentFS(populate) {
+    return new Promise((resolve, reject) => {
+        pyodide.FS.syncfs(populate, (err) => (err ? reject(err) : resolve()));
+    });
+}
+
+/**
+ * Resolve a path relative to the persistent directory, refusing paths that escape it
+ */
+function persistentPath(relativePath) {
+    const parts = String(relativePath).split('/').filter(p => p && p !== '.');
+    if (parts.length === 0 || parts.includes('..')) {
+        throw new Error('Invalid file path: ' + relativePath);
+    }
+    return PERSIST_DIR + '/' + parts.join('/');
+}
+
+/**
+ * Recursively list files in a directory of the persistent filesystem
+ */
+function walkPersistentDir(dir, files) {
+    for (const name of pyodide.FS.readdir(dir)) {
+        if (name === '.' || name === '..') continue;
+        const fullPath = dir + '/' + name;
+        const stat = pyodide.FS.stat(fullPath);
+        if (pyodide.FS.isDir(stat.mode)) {
+            walkPersistentDir(fullPath, files);
+        } else {
+            files.push({
+                path: fullPath.substring(PERSIST_DIR.length + 1),
+                size: stat.size,
+                modified: new Date(stat.mtime).toISOString(),
+            });
+        }
+    }
+    return files;
+}
+
+/**
+ * Recursively delete the contents of a directory of the persistent filesystem
+ */
+function clearPersistentDir(dir) {
+    for (const name of pyodide.FS.readdir(dir)) {
+        if (name === '.' || name === '..') continue;
+        const fullPath = dir + '/' + name;
+        if (pyodide.FS.isDir(pyodide.FS.stat(fullPath).mode)) {
+            clearPersistentDir(fullPath);
+            pyodide.FS.rmdir(fullPath);
+        } else {
+            pyodide.FS.unlink(fullPath);
+        }
+    }
+}
+
+/**
+ * Convert a run's result to a value that can be posted back, destroying the proxy
+ * Dicts become plain objects; objects without a JS equivalent fall back to str().
+ * @returns {{value: any, text: string|null}}
+ */
+function convertResult(result) {
+    if (!(result instanceof pyodide.ffi.PyProxy)) {
+        const value = result ?? null;
+        return { value, text: value !== null ? String(value) : null };
+    }
+    try {
+        const text = result.toString();
+        let value;
+        try {
+            value = result.toJs({ dict_converter: Object.fromEntries, create_pyproxies: false });
+        } catch {
+            value = text;
+        }
+        return { value, text };
+    } finally {
+        result.destroy();
+    }
+}
+
+/**
+ * Ask the page for the answer to an input() call, blocking until it arrives
+ * @returns {string|null} The answer, or null for end of input
+ */
+function requestInput(prompt) {
+    const header = new Int32Array(inputBuffer, 0, 2);
+    Atomics.store(header, 0, 0);
+    self.postMessage({ type: 'input', prompt });
+    Atomics.wait(header, 0, 0);
+    if (header[1] < 0) {
+        return null;
+    }
+    // TextDecoder does not accept views of shared memory, so copy the bytes first
+    return new TextDecoder().decode(new Uint8Array(inputBuffer, 8, header[1]).slice());
+}
+
+/**
+ * Create the stdin callback for a run
+ * @param {string|null} stdin - Text to read, or null for none
+ * @param {boolean} interactive - Ask the page for each line instead
+ * @param {PyProxy} stdout - The run's captured stdout, whose last line is the prompt
+ */
+function createStdinReader(stdin, interactive, stdout) {
+    let remaining = stdin;
+    return () => {
+        if (interactive) {
+            const output = stdout.getvalue();
+            const answer = requestInput(output.substring(output.lastIndexOf('\\n') + 1));
+            return answer === null ? null : answer + '\\n';
+        }
+        // Give all of the text in one read, then report end of input
+        const text = remaining;
+        remaining = null;
+        return text || null;
+    };
+}
+
+/**
+ * Import micropip, loading it first if needed
+ */
+async function getMicropip() {
+    await pyodide.loadPackage('micropip');
+    return pyodide.pyimport('micropip');
+}
+
+const handlers = {
+    async init({ indexURL, interruptBuffer: buffer, inputBuffer: answers }) {
+        if (!pyodide) {
+            importScripts(indexURL + 'pyodide.js');
+            pyodide = await loadPyodide({ indexURL });
+            pyodideIndexURL = indexURL;
+            createDict = pyodide.globals.get('dict');
+
+            // Define the checker in a namespace of its own, so it stays out of the code's globals
+            const helpers = pyodide.toPy({});
+            pyodide.runPython(AWAIT_CHECK_SOURCE, { globals: helpers });
+            awaitsAtTopLevel = helpers.get('awaits_at_top_level');
+            helpers.destroy();
+
+            pyodide.FS.mkdirTree(PERSIST_DIR);
+            pyodide.FS.mount(pyodide.FS.filesystems.IDBFS, {}, PERSIST_DIR);
+            await syncPersistentFS(true);
+        }
+        if (buffer) {
+            // Writing 2 (SIGINT) into the buffer raises KeyboardInterrupt in running code
+            interruptBuffer = buffer;
+            pyodide.setInterruptBuffer(interruptBuffer);
+        }
+        if (answers) {
+            inputBuffer = answers;
+        }
+        return { version: pyodide.version };
+    },
+
+    async execute({ code, session, isAsync, stdin, interactive, autoLoadPackages }) {
+        // Clear any interrupt left over from a previous run
+        if (interruptBuffer) {
+            interruptBuffer[0] = 0;
+        }
+
+        // Fetch packages shipped with Pyodide that the code imports
+        let loadedPackages = [];
+        if (autoLoadPackages) {
+            const before = Object.keys(pyodide.loadedPackages);
+            await pyodide.loadPackagesFromImports(code);
+            loadedPackages = Object.keys(pyodide.loadedPackages).filter(p => !before.includes(p));
+        }
+
+        // Capture this run's stdout and stderr (runs are queued one at a time by PyRunner)
+        pyodide.runPython(\`
+import sys
+from io import StringIO
+sys.stdout = StringIO()
+sys.stderr = StringIO()
+\`);
+        const capturedStdout = pyodide.runPython('sys.stdout');
+        pyodide.setStdin({ stdin: createStdinReader(stdin ?? null, Boolean(interactive && inputBuffer), capturedStdout) });
+
+        // Execute the user's code in its own namespace
+        const namespace = getNamespace(session);
+        let result;
+        let stdout = '';
+        let stderr = '';
+        try {
+            // runPythonAsync allows top-level await and runs on Pyodide's event loop
+            result = (isAsync ?? awaitsAtTopLevel(code))
+                ? await pyodide.runPythonAsync(code, { globals: namespace })
+                : pyodide.runPython(code, { globals: namespace });
+        } catch (pyError) {
+            // The message holds the traceback; what the code itself wrote to stderr is passed separately
+            const error = new Error(pyError.message);
+            error.stderr = pyodide.runPython('sys.stderr.getvalue()');
+            throw error;
+        } finally {
+            stdout = pyodide.runPython('sys.stdout.getvalue()');
+            stderr = pyodide.runPython('sys.stderr.getvalue()');
+            pyodide.runPython('sys.stdout, sys.stderr = sys.__stdout__, sys.__stderr__');
+            capturedStdout.destroy();
+            if (!session) {
+                namespace.destroy();
+            }
+            // Save whatever the code wrote to the persistent directory
+            await syncPersistentFS(false).catch(err => console.warn('[PyRunner] Persistent FS sync failed:', err));
+        }
+
+        const { value, text } = convertResult(result);
+        return { stdout, stderr, result: text, value, loadedPackages };
+    },
+
+    async listSessions() {
+        return [...sessions.entries()].map(([name, namespace]) => {
+            const names = pyodide.runPython(
+                '[k for k in list(globals()) if not k.startswith("__")]',
+                { globals: namespace },
+            );
+            const variables = names.toJs();
+            names.destroy();
+            return { name, variables };
+        });
+    },
+
+    async resetSession({ name }) {
+        const names = name ? [name] : [...sessions.keys()];
+        let count = 0;
+        for (const sessionName of names) {
+            const namespace = sessions.get(sessionName);
+            if (namespace) {
+                namespace.destroy();
+                sessions.delete(sessionName);
+                count++;
+            }
+        }
+        return { count };
+    },
+
+    async listFiles() {
+        return walkPersistentDir(PERSIST_DIR, []);
+    },
+
+    async readFile({ path }) {
+        return pyodide.FS.readFile(persistentPath(path));
+    },
+
+    async writeFile({ path, data }) {
+        const fullPath = persistentPath(path);
+        pyodide.FS.mkdirTree(fullPath.substring(0, fullPath.lastIndexOf('/')));
+        pyodide.FS.writeFile(fullPath, data);
+        await syncPersistentFS(false);
+        return { path };
+    },
+
+    async deleteFile({ path }) {
+        pyodide.FS.unlink(persistentPath(path));
+        await syncPersistentFS(false);
+        return { path };
+    },
+
+    async clearFiles() {
+        clearPersistentDir(PERSIST_DIR);
+        await syncPersistentFS(false);
+        return {};
+    },
+
+    async install({ packages }) {
+        // Packages built for Pyodide come from the distribution, the rest from PyPI
+        const builtin = await getLockfilePackages();
+        const distPackages = packages.filter(p => builtin.has(packageName(p))).map(packageName);
+        const pypiPackages = packages.filter(p => !builtin.has(packageName(p)));
+
+        if (distPackages.length > 0) {
+            const errors = [];
+            await pyodide.loadPackage(distPackages, { errorCallback: (msg) => errors.push(msg) });
+            if (errors.length > 0) {
+                throw new Error(errors.join('\\n'));
+            }
+        }
+
+        if (pypiPackages.length > 0) {
+            const micropip = await getMicropip();
+            try {
+                await micropip.install(pyodide.toPy(pypiPackages));
+            } finally {
+                micropip.destroy();
+            }
+        }
+
+        return { installed: packages };
+    },
+
+    async uninstall({ packages }) {
+        const micropip = await getMicropip();
+        try {
+            micropip.uninstall(pyodide.toPy(packages));
+        } finally {
+            micropip.destroy();
+        }
+        return { uninstalled: packages };
+    },
+
+    async listPackages() {
+        await pyodide.loadPackage('micropip');
+        const json = pyodide.runPython(\`
+import json, micropip
+json.dumps([{"name": p.name, "version": p.version} for p in micropip.list().values()])
+\`);
+        return JSON.parse(json);
+    },
+};
+
+self.onmessage = async (event) => {
+    const { id, type, payload } = event.data;
+    try {
+        const handler = handlers[type];
+        if (!handler) {
+            throw new Error('Unknown message type: ' + type);
+        }
+        const result = await handler(payload || {});
+        self.postMessage({ id, type: 'result', result });
+    } catch (error) {
+        self.postMessage({ id, type: 'error', error: error.message, stderr: error.stderr || '' });
+    }
+};
+`;
+
+export class PyodideWorker {
+    constructor() {
+        this.url = URL.createObjectURL(new Blob([WORKER_SOURCE], { type: 'application/javascript' }));
+        this.worker = new Worker(this.url);
+        this.nextId = 1;
+        this.pending = new Map();
+        this.onInput = null; // Called with the prompt when running code calls input()
+
+        this.worker.onmessage = (event) => this.handleMessage(event.data);
+        this.worker.onerror = (event) => {
+            event.preventDefault();
+            this.rejectAll(new Error(event.message || 'Pyodide worker error'));
+        };
+    }
+
+    /**
+     * Send a request to the worker
+     * @param {string} type - Message type (a handler name, e.g. 'init' or 'execute')
+     * @param {object} [payload] - Message payload
+     * @returns {Promise<any>} - Resolves with the worker's result
+     */
+    call(type, payload = {}) {
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ id, type, payload });
+        });
+    }
+
+    /**
+     * Route a worker response to its pending request
+     * @param {object} message - { id, type: 'result' | 'error', result?, error? }, or { type: 'input', prompt }
+     */
+    handleMessage(message) {
+        if (message.type === 'input') {
+            this.onInput?.(message.prompt);
+            return;
+        }
+
+        const request = this.pending.get(message.id);
+        if (!request) return;
+
+        this.pending.delete(message.id);
+        if (message.type === 'error') {
+            const error = new Error(message.error);
+            error.stderr = message.stderr || '';
+            request.reject(error);
+        } else {
+            request.resolve(message.result);
+        }
+    }
+
+    /**
+     * Reject all pending requests
+     * @param {Error} error
+     */
+    rejectAll(error) {
+        for (const request of this.pending.values()) {
+            request.reject(error);
+        }
+        this.pending.clear();
+    }
+
+    /**
+     * Stop the worker immediately, discarding the interpreter
+     */
+    terminate() {
+        this.worker.terminate();
+        URL.revokeObjectURL(this.url);
+        this.rejectAll(new Error('Pyodide worker terminated'));
+    }
+}
@@ -4,7 +4,7 @@
  * @returns {string} - HTML string
  */
 export function Settings(props) {
-    const { enabled, executionMode, timeout, selectedVenv, logConfig, functionScope, functionCount, selectedCharacter, characters } = props;
+    const { enabled, executionMode, timeout, serverConcurrency, streamOutput, pyodideVersion, pyodideIndexURL, autoLoadPackages, selectedVenv, chatWorkspaces, approvalPrompts, allowedCodeCount, logConfig, limitsConfig, scriptConfig, authConfig, quotaConfig, functionScope, functionCount, selectedCharacter, characters } = props;
 
     // Default log config values
     const logEnabled = logConfig?.enabled ?? true;
@@ -12,6 +12,19 @@ export function Settings(props) {
     const logMaxSize = logConfig?.maxFileSize ? Math.round(logConfig.maxFileSize / (1024 * 1024)) : 5;
     const logLevels = logConfig?.levels ?? { ERROR: true, WARN: true, INFO: true, DEBUG: false };
 
+    // Default resource limit values (0 = unlimited)
+    const limits = { memoryMB: 2048, cpuSeconds: 300, maxProcesses: 64, maxFileSizeMB: 100, maxOutputKB: 1024, ...limitsConfig };
+
+    // Default script file settings (an empty directory keeps the server's current one)
+    const workDir = scriptConfig?.workDir ?? '';
+    const keepArtifacts = scriptConfig?.keepArtifacts ?? false;
+
+    // User allowlists (only admins can load them)
+    const executeUsers = (authConfig?.execute ?? []).join(', ');
+    const manageUsers = (authConfig?.manage ?? []).join(', ');
+    const quotaMaxVenvs = quotaConfig?.maxVenvs ?? 5;
+    const quotaMaxDiskMB = quotaConfig?.maxDiskMB ?? 2048;
+
     return `
         <div class="pyrunner-panel">
             <div class="pyrunner-panel-header">
@@ -29,6 +42,10 @@ export function Settings(props) {
                         <input type="checkbox" id="pyrunner_enabled" ${enabled ? 'checked' : ''}>
                     </div>
 
+                    <button id="pyrunner_abort" class="menu_button pyrunner-abort-btn" title="Cancel the code that is currently running">
+                        <i class="fa-solid fa-stop"></i> Stop Running Code
+                    </button>
+
                     <!-- Execution Mode Section -->
                     <div class="pyrunner-collapsible">
                         <div class="pyrunner-collapsible-header" data-target="pyrunner_section_mode">
@@ -89,7 +106,35 @@ export function Settings(props) {
                                     <i class="fa-solid fa-plus"></i> Create
                                 </button>
                             </div>
-                            <small class="pyrunner-hint">Server mode only. Select venv to manage its packages.</small>
+                            <label class="pyrunner-toggle-inline">
+                                <input type="checkbox" id="pyrunner_venv_system">
+                                <span>Shared with all users (admins only)</span>
+                            </label>
+                            <small class="pyrunner-hint">Server mode only. Select venv to manage its packages. New venvs are your own; shared venvs are marked as such and only admins can change them.</small>
+                            <small class="pyrunner-hint" id="pyrunner_quota_usage"></small>
+
+                            <hr class="pyrunner-section-divider">
+
+                            <label class="pyrunner-label">Permissions</label>
+                            <div class="pyrunner-policy-grid">
+                                <label class="pyrunner-toggle-inline">
+                                    <input type="checkbox" class="pyrunner-policy-toggle" data-permission="fileWrite">
+                                    <span>Write files</span>
+                                </label>
+                                <label class="pyrunner-toggle-inline">
+                                    <input type="checkbox" class="pyrunner-policy-toggle" data-permission="subprocess">
+                                    <span>Start processes</span>
+                                </label>
+                                <label class="pyrunner-toggle-inline">
+                                    <input type="checkbox" class="pyrunner-policy-toggle" data-permission="network">
+                                    <span>Network access</span>
+                                </label>
+                                <label class="pyrunner-toggle-inline">
+                                    <input type="checkbox" class="pyrunner-policy-toggle" data-permission="ctypes">
+                                    <span>Use ctypes</span>
+                                </label>
+                            </div>
+                            <small class="pyrunner-hint">What code in the selected venv may do. Reading files is always allowed. A run that tries something unchecked is stopped. Sessions pick up changes when restarted.</small>
 
                             <hr class="pyrunner-section-divider">
 
@@ -100,7 +145,7 @@ export function Settings(props) {
                                     <i class="fa-solid fa-download"></i> Install
                                 </button>
                             </div>
-                            <small class="pyrunner-hint">Space-separated package names. Uses pip.</small>
+                            <small class="pyrunner-hint">Space-separated package names. Uses pip (server) or micropip (Pyodide).</small>
 
                             <div class="pyrunner-packages-list-header">
                                 <label class="pyrunner-label">Installed Packages</label>
@@ -189,6 +234,10 @@ export function Settings(props) {
                                     <label for="pyrunner_func_args">Arguments:</label>
                                     <input type="text" id="pyrunner_func_args" class="text_pole" placeholder="arg1, arg2 (comma-separated, optional)">
                                 </div>
+                                <div class="pyrunner-modal-row">
+                                    <label for="pyrunner_func_secrets">Secrets:</label>
+                                    <input type="text" id="pyrunner_func_secrets" class="text_pole" placeholder="API_KEY, TOKEN (server secrets set as env variables, optional)">
+                                </div>
                                 <div class="pyrunner-modal-row pyrunner-modal-code-row">
                                     <label for="pyrunner_func_code">Code:</label>
                                     <textarea id="pyrunner_func_code" class="text_pole pyrunner-code-editor" placeholder="def my_function(arg1, arg2):&#10;    # Your Python code here&#10;    return result"></textarea>
@@ -207,6 +256,266 @@ export function Settings(props) {
                         </div>
                     </div>
 
+                    <!-- Persistent Files Section -->
+                    <div class="pyrunner-collapsible">
+                        <div class="pyrunner-collapsible-header" data-target="pyrunner_section_files">
+                            <i class="fa-solid fa-chevron-down pyrunner-collapse-icon"></i>
+                            <span>Persistent Files</span>
+                        </div>
+                        <div class="pyrunner-collapsible-content" id="pyrunner_section_files">
+                            <div class="pyrunner-packages-list-header">
+                                <label class="pyrunner-label">/home/pyodide/persist</label>
+                                <button id="pyrunner_refresh_files" class="menu_button menu_button_icon" title="Refresh file list">
+                                    <i class="fa-solid fa-refresh"></i>
+                                </button>
+                            </div>
+                            <div id="pyrunner_files_list" class="pyrunner-files-list">
+                                <span class="pyrunner-hint">Click refresh to load files</span>
+                            </div>
+                            <div class="pyrunner-log-actions">
+                                <button id="pyrunner_upload_files" class="menu_button">
+                                    <i class="fa-solid fa-upload"></i> Upload
+                                </button>
+                                <button id="pyrunner_clear_files" class="menu_button">
+                                    <i class="fa-solid fa-trash"></i> Clear All
+                                </button>
+                            </div>
+                            <input type="file" id="pyrunner_files_input" multiple style="display: none;">
+                            <small class="pyrunner-hint">Pyodide mode only. Files saved here by scripts survive page reloads.</small>
+                        </div>
+                    </div>
+
+                    <!-- Workspace Files Section -->
+                    <div class="pyrunner-collapsible">
+                        <div class="pyrunner-collapsible-header" data-target="pyrunner_section_workspace">
+                            <i class="fa-solid fa-chevron-down pyrunner-collapse-icon"></i>
+                            <span>Workspace Files</span>
+                        </div>
+                        <div class="pyrunner-collapsible-content" id="pyrunner_section_workspace">
+                            <div class="pyrunner-packages-list-header">
+                                <select id="pyrunner_workspace_select" class="text_pole"></select>
+                                <button id="pyrunner_refresh_workspace" class="menu_button menu_button_icon" title="Refresh file list">
+                                    <i class="fa-solid fa-refresh"></i>
+                                </button>
+                            </div>
+                            <div id="pyrunner_workspace_list" class="pyrunner-files-list">
+                                <span class="pyrunner-hint">Click refresh to load files</span>
+                            </div>
+                            <div class="pyrunner-log-actions">
+                                <button id="pyrunner_upload_workspace" class="menu_button">
+                                    <i class="fa-solid fa-upload"></i> Upload
+                                </button>
+                            </div>
+                            <input type="file" id="pyrunner_workspace_input" multiple style="display: none;">
+
+                            <label class="pyrunner-toggle-inline">
+                                <input type="checkbox" id="pyrunner_chat_workspaces" ${chatWorkspaces ? 'checked' : ''}>
+                                <span>Per-chat workspaces</span>
+                            </label>
+                            <small class="pyrunner-hint">Server mode only. Scripts run in their venv's workspace directory, or the chat's when per-chat workspaces are on (override with <code>workspace=</code>).</small>
+                        </div>
+                    </div>
+
+                    <!-- Secrets Section -->
+                    <div class="pyrunner-collapsible">
+                        <div class="pyrunner-collapsible-header" data-target="pyrunner_section_secrets">
+                            <i class="fa-solid fa-chevron-down pyrunner-collapse-icon"></i>
+                            <span>Secrets</span>
+                        </div>
+                        <div class="pyrunner-collapsible-content" id="pyrunner_section_secrets">
+                            <div class="pyrunner-packages-list-header">
+                                <label class="pyrunner-label">Stored Secrets</label>
+                                <button id="pyrunner_refresh_secrets" class="menu_button menu_button_icon" title="Refresh secrets">
+                                    <i class="fa-solid fa-refresh"></i>
+                                </button>
+                            </div>
+                            <div id="pyrunner_secrets_list" class="pyrunner-files-list">
+                                <span class="pyrunner-hint">Click refresh to load secrets</span>
+                            </div>
+
+                            <div class="pyrunner-log-row">
+                                <label for="pyrunner_secret_name">Name:</label>
+                                <input type="text" id="pyrunner_secret_name" class="text_pole" placeholder="API_KEY">
+                            </div>
+                            <div class="pyrunner-log-row">
+                                <label for="pyrunner_secret_value">Value:</label>
+                                <input type="password" id="pyrunner_secret_value" class="text_pole" autocomplete="new-password" placeholder="Leave empty to keep the current value">
+                            </div>
+                            <div class="pyrunner-log-row">
+                                <label for="pyrunner_secret_venvs">Venvs:</label>
+                                <input type="text" id="pyrunner_secret_venvs" class="text_pole" placeholder="default, data (comma-separated, optional)">
+                            </div>
+
+                            <div class="pyrunner-log-actions">
+                                <button id="pyrunner_save_secret" class="menu_button">
+                                    <i class="fa-solid fa-save"></i> Save Secret
+                                </button>
+                            </div>
+
+                            <small class="pyrunner-hint">Server mode only. Secrets are stored encrypted on the server and set as environment variables for admins' runs in the listed shared venvs, or for admins' functions that name them. Values are never shown again; output masks the literal value only, so code that gets a secret can still reveal it encoded.</small>
+                        </div>
+                    </div>
+
+                    <!-- Code Approval Section -->
+                    <div class="pyrunner-collapsible">
+                        <div class="pyrunner-collapsible-header" data-target="pyrunner_section_approval">
+                            <i class="fa-solid fa-chevron-down pyrunner-collapse-icon"></i>
+                            <span>Code Approval</span>
+                        </div>
+                        <div class="pyrunner-collapsible-content" id="pyrunner_section_approval">
+                            <label class="pyrunner-label">Ask before running code from</label>
+                            <div class="pyrunner-policy-grid">
+                                <label class="pyrunner-toggle-inline">
+                                    <input type="checkbox" class="pyrunner-approval-toggle" data-origin="function" ${approvalPrompts?.function !== false ? 'checked' : ''}>
+                                    <span>Saved functions</span>
+                                </label>
+                                <label class="pyrunner-toggle-inline">
+                                    <input type="checkbox" class="pyrunner-approval-toggle" data-origin="pack" ${approvalPrompts?.pack !== false ? 'checked' : ''}>
+                                    <span>Imported functions</span>
+                                </label>
+                                <label class="pyrunner-toggle-inline">
+                                    <input type="checkbox" class="pyrunner-approval-toggle" data-origin="model" ${approvalPrompts?.model !== false ? 'checked' : ''}>
+                                    <span>Model replies</span>
+                                </label>
+                                <label class="pyrunner-toggle-inline">
+                                    <input type="checkbox" class="pyrunner-approval-toggle" data-origin="script" ${approvalPrompts?.script !== false ? 'checked' : ''}>
+                                    <span>Scripts</span>
+                                </label>
+                            </div>
+
+                            <div class="pyrunner-log-actions">
+                                <span id="pyrunner_allowed_code_count" class="pyrunner-hint">${allowedCodeCount} always allowed</span>
+                                <button id="pyrunner_clear_allowed_code" class="menu_button">
+                                    <i class="fa-solid fa-eraser"></i> Clear
+                                </button>
+                            </div>
+
+                            <small class="pyrunner-hint">Server mode only. Code you type into the chat box runs right away; code from anywhere else (a Quick Reply, character card script or model reply passed to /pyrun) is shown for approval first. "Always allow" remembers that exact code for its source.</small>
+                        </div>
+                    </div>
+
+                    <!-- Console Section -->
+                    <div class="pyrunner-collapsible">
+                        <div class="pyrunner-collapsible-header" data-target="pyrunner_section_console">
+                            <i class="fa-solid fa-chevron-down pyrunner-collapse-icon"></i>
+                            <span>Console</span>
+                        </div>
+                        <div class="pyrunner-collapsible-content" id="pyrunner_section_console">
+                            <pre id="pyrunner_console" class="pyrunner-console"></pre>
+                            <div class="pyrunner-log-actions">
+                                <button id="pyrunner_clear_console" class="menu_button">
+                                    <i class="fa-solid fa-eraser"></i> Clear
+                                </button>
+                            </div>
+                            <small class="pyrunner-hint">Server mode. Live output of running scripts.</small>
+                        </div>
+                    </div>
+
+                    <!-- Resource Limits Section -->
+                    <div class="pyrunner-collapsible">
+                        <div class="pyrunner-collapsible-header" data-target="pyrunner_section_limits">
+                            <i class="fa-solid fa-chevron-down pyrunner-collapse-icon"></i>
+                            <span>Resource Limits</span>
+                        </div>
+                        <div class="pyrunner-collapsible-content" id="pyrunner_section_limits">
+                            <div class="pyrunner-limits-row">
+                                <label for="pyrunner_limit_memory">Memory (MB):</label>
+                                <input type="number" id="pyrunner_limit_memory" class="text_pole" value="${limits.memoryMB}" min="0" step="128">
+                            </div>
+
+                            <div class="pyrunner-limits-row">
+                                <label for="pyrunner_limit_cpu">CPU Time (s):</label>
+                                <input type="number" id="pyrunner_limit_cpu" class="text_pole" value="${limits.cpuSeconds}" min="0" step="10">
+                            </div>
+
+                            <div class="pyrunner-limits-row">
+                                <label for="pyrunner_limit_processes">Processes:</label>
+                                <input type="number" id="pyrunner_limit_processes" class="text_pole" value="${limits.maxProcesses}" min="0" step="1">
+                            </div>
+
+                            <div class="pyrunner-limits-row">
+                                <label for="pyrunner_limit_file_size">File Size (MB):</label>
+                                <input type="number" id="pyrunner_limit_file_size" class="text_pole" value="${limits.maxFileSizeMB}" min="0" step="10">
+                            </div>
+
+                            <div class="pyrunner-limits-row">
+                                <label for="pyrunner_limit_output">Output (KB):</label>
+                                <input type="number" id="pyrunner_limit_output" class="text_pole" value="${limits.maxOutputKB}" min="0" step="64">
+                            </div>
+
+                            <div class="pyrunner-log-actions">
+                                <button id="pyrunner_save_limits" class="menu_button">
+                                    <i class="fa-solid fa-save"></i> Save Limits
+                                </button>
+                            </div>
+
+                            <small class="pyrunner-hint">Server mode only. 0 means unlimited. Memory, CPU, process and file size limits apply on Linux; output over the limit is cut off. Memory counts what the code allocates, not address space it only reserves.</small>
+                        </div>
+                    </div>
+
+                    <!-- Script Files Section -->
+                    <div class="pyrunner-collapsible">
+                        <div class="pyrunner-collapsible-header" data-target="pyrunner_section_scripts">
+                            <i class="fa-solid fa-chevron-down pyrunner-collapse-icon"></i>
+                            <span>Script Files</span>
+                        </div>
+                        <div class="pyrunner-collapsible-content" id="pyrunner_section_scripts">
+                            <div class="pyrunner-log-row">
+                                <label for="pyrunner_work_dir">Script Directory:</label>
+                                <input type="text" id="pyrunner_work_dir" class="text_pole" value="${workDir}" placeholder="work">
+                            </div>
+
+                            <div class="pyrunner-logging-toggle">
+                                <label class="pyrunner-toggle-inline">
+                                    <input type="checkbox" id="pyrunner_keep_artifacts" ${keepArtifacts ? 'checked' : ''}>
+                                    <span>Keep Artifacts</span>
+                                </label>
+                            </div>
+
+                            <div class="pyrunner-log-actions">
+                                <button id="pyrunner_save_script_config" class="menu_button">
+                                    <i class="fa-solid fa-save"></i> Save
+                                </button>
+                            </div>
+
+                            <small class="pyrunner-hint">Server mode only. Each run gets its own directory here holding its script, deleted afterwards unless artifacts are kept. Relative paths are relative to the plugin folder.</small>
+                        </div>
+                    </div>
+
+                    <!-- User Access Section -->
+                    <div class="pyrunner-collapsible">
+                        <div class="pyrunner-collapsible-header" data-target="pyrunner_section_auth">
+                            <i class="fa-solid fa-chevron-down pyrunner-collapse-icon"></i>
+                            <span>User Access</span>
+                        </div>
+                        <div class="pyrunner-collapsible-content" id="pyrunner_section_auth">
+                            <div class="pyrunner-log-row">
+                                <label for="pyrunner_auth_execute">Run code:</label>
+                                <input type="text" id="pyrunner_auth_execute" class="text_pole" value="${executeUsers}" placeholder="user handles, comma-separated">
+                            </div>
+                            <div class="pyrunner-log-row">
+                                <label for="pyrunner_auth_manage">Venvs/packages:</label>
+                                <input type="text" id="pyrunner_auth_manage" class="text_pole" value="${manageUsers}" placeholder="user handles, comma-separated">
+                            </div>
+                            <div class="pyrunner-log-row">
+                                <label for="pyrunner_quota_max_venvs">Venvs per user:</label>
+                                <input type="number" id="pyrunner_quota_max_venvs" class="text_pole" value="${quotaMaxVenvs}" min="0" step="1">
+                            </div>
+                            <div class="pyrunner-log-row">
+                                <label for="pyrunner_quota_max_disk">Disk per user (MB):</label>
+                                <input type="number" id="pyrunner_quota_max_disk" class="text_pole" value="${quotaMaxDiskMB}" min="0" step="1">
+                            </div>
+
+                            <div class="pyrunner-log-actions">
+                                <button id="pyrunner_save_auth_config" class="menu_button">
+                                    <i class="fa-solid fa-save"></i> Save
+                                </button>
+                            </div>
+
+                            <small class="pyrunner-hint">Server mode, multi-user SillyTavern. Admin accounts can use everything; other accounts only what they are listed for here. Each user has their own venvs, workspaces and logs, limited by the quotas (0 = unlimited; admins are exempt). Server settings and secrets stay admin-only. Only admins can change these settings.</small>
+                        </div>
+                    </div>
+
                     <!-- Logging Section -->
                     <div class="pyrunner-collapsible">
                         <div class="pyrunner-collapsible-header" data-target="pyrunner_section_logging">
@@ -268,6 +577,7 @@ export function Settings(props) {
                             <div id="pyrunner_log_viewer" class="pyrunner-log-viewer" style="display: none;">
                                 <div class="pyrunner-log-viewer-header">
                                     <select id="pyrunner_log_file_select" class="text_pole"></select>
+                                    <input type="text" id="pyrunner_log_user" class="text_pole" placeholder="User (admins)" title="Admins: view the logs of this user instead of the main logs">
                                     <button id="pyrunner_refresh_logs" class="menu_button menu_button_icon" title="Refresh logs">
                                         <i class="fa-solid fa-refresh"></i>
                                     </button>
@@ -280,7 +590,7 @@ export function Settings(props) {
                                 </div>
                             </div>
 
-                            <small class="pyrunner-hint">Server mode only. Logs script executions and errors.</small>
+                            <small class="pyrunner-hint">Server mode only. Logs script executions and errors. Each user's runs are logged to their own files; the settings apply to all logs and only admins can change them.</small>
                         </div>
                     </div>
 
@@ -294,6 +604,35 @@ export function Settings(props) {
                             <label class="pyrunner-label" for="pyrunner_timeout">Timeout (ms)</label>
                             <input type="number" id="pyrunner_timeout" class="text_pole" value="${timeout}" min="1000" max="300000" step="1000">
                             <small class="pyrunner-hint">Maximum execution time before timeout (1000-300000 ms)</small>
+
+                            <label class="pyrunner-label" for="pyrunner_server_concurrency">Server Concurrency</label>
+                            <input type="number" id="pyrunner_server_concurrency" class="text_pole" value="${serverConcurrency || 2}" min="1" max="16" step="1">
+                            <small class="pyrunner-hint">Server executions that may run at once; others wait in a queue. Pyodide always runs one at a time.</small>
+
+                            <label class="pyrunner-label" for="pyrunner_pyodide_version">Pyodide Version</label>
+                            <div class="pyrunner-packages-input-row">
+                                <input type="text" id="pyrunner_pyodide_version" class="text_pole" value="${pyodideVersion || '0.24.1'}" placeholder="0.24.1">
+                                <button id="pyrunner_download_pyodide" class="menu_button" title="Download this version to the server plugin for offline use">
+                                    <i class="fa-solid fa-download"></i> Download
+                                </button>
+                            </div>
+                            <small class="pyrunner-hint">Loaded from the server plugin if downloaded there, otherwise from the CDN.</small>
+
+                            <label class="pyrunner-label" for="pyrunner_pyodide_index_url">Pyodide Index URL</label>
+                            <input type="text" id="pyrunner_pyodide_index_url" class="text_pole" value="${pyodideIndexURL || ''}" placeholder="Automatic">
+                            <small class="pyrunner-hint">Optional. Load Pyodide only from this URL instead.</small>
+
+                            <label class="pyrunner-toggle-inline">
+                                <input type="checkbox" id="pyrunner_auto_load_packages" ${autoLoadPackages !== false ? 'checked' : ''}>
+                                <span>Auto-load imported packages</span>
+                            </label>
+                            <small class="pyrunner-hint">Pyodide mode. Fetches packages like numpy when the code imports them.</small>
+
+                            <label class="pyrunner-toggle-inline">
+                                <input type="checkbox" id="pyrunner_stream_output" ${streamOutput !== false ? 'checked' : ''}>
+                                <span>Stream server output</span>
+                            </label>
+                            <small class="pyrunner-hint">Server mode. Shows output in the Console section and a progress toast while the script runs.</small>
                         </div>
                     </div>
 
@@ -308,6 +647,10 @@ export function Settings(props) {
                                 <div class="pyrunner-help-title">Commands:</div>
                                 <ul>
                                     <li><code>/pyrun &lt;code&gt;</code> - Execute Python code</li>
+                                    <li><code>/pyabort</code> - Cancel running code</li>
+                                    <li><code>/pyjobs</code> - Show queued and running code</li>
+                                    <li><code>/pyjob [list|status|wait|cancel]</code> - Manage server background jobs</li>
+                                    <li><code>/pysession [list|reset|shutdown]</code> - Manage sessions</li>
                                     <li><code>/pycall &lt;func&gt; [args]</code> - Call saved function</li>
                                     <li><code>/pyfunc [subcommand]</code> - Manage functions</li>
                                     <li><code>/pyinstall &lt;packages&gt;</code> - Install packages</li>
@@ -322,6 +665,7 @@ export function Settings(props) {
                                     <li><code>/pycall roll_dice 20</code></li>
                                     <li><code>/pyfunc info my_func</code></li>
                                     <li><code>/pyinstall venv=myenv numpy pandas</code></li>
+                                    <li><code>/pyinstall mode=pyodide sympy</code></li>
                                 </ul>
                             </div>
                         </div>
@@ -389,6 +733,14 @@ export function Settings(props) {
                 font-weight: bold;
             }
 
+            .pyrunner-abort-btn {
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                gap: 5px;
+                font-size: 0.85em;
+            }
+
             /* Collapsible Sections */
             .pyrunner-collapsible {
                 border: 1px solid var(--SmartThemeBorderColor, #444);
@@ -675,6 +1027,23 @@ export function Settings(props) {
                 background: rgba(244, 67, 54, 0.2);
             }
 
+            /* Resource Limits Section Styles */
+            .pyrunner-limits-row {
+                display: flex;
+                align-items: center;
+                gap: 10px;
+            }
+
+            .pyrunner-limits-row label {
+                min-width: 110px;
+                font-size: 0.85em;
+            }
+
+            .pyrunner-limits-row input {
+                flex: 1;
+                max-width: 180px;
+            }
+
             /* Logging Section Styles */
             .pyrunner-logging-toggle {
                 margin-bottom: 5px;
@@ -776,6 +1145,10 @@ export function Settings(props) {
                 flex: 1;
             }
 
+            .pyrunner-log-viewer-header input {
+                width: 7em;
+            }
+
             .pyrunner-log-content {
                 max-height: 200px;
                 overflow-y: auto;
@@ -952,6 +1325,96 @@ export function Settings(props) {
                 gap: 5px;
             }
 
+            /* Venv Permissions */
+            .pyrunner-policy-grid {
+                display: grid;
+                grid-template-columns: 1fr 1fr;
+                gap: 4px 10px;
+                margin-bottom: 5px;
+            }
+
+            /* Code Approval */
+            .pyrunner-approval-code {
+                max-height: 50vh;
+                overflow: auto;
+                text-align: left;
+                white-space: pre-wrap;
+                word-break: break-word;
+                font-size: 0.85em;
+            }
+
+            /* Workspace Files Section */
+            #pyrunner_workspace_select {
+                flex: 1;
+                margin: 0 8px 0 0;
+            }
+
+            /* Console Section */
+            .pyrunner-console {
+                max-height: 200px;
+                min-height: 60px;
+                overflow-y: auto;
+                margin: 0;
+                padding: 8px;
+                background: rgba(0, 0, 0, 0.3);
+                border-radius: 5px;
+                font-family: monospace;
+                font-size: 0.75em;
+                white-space: pre-wrap;
+                word-break: break-all;
+            }
+
+            .pyrunner-console-run {
+                color: #2196f3;
+            }
+
+            .pyrunner-console-stderr {
+                color: #f44336;
+            }
+
+            /* Persistent Files Section */
+            .pyrunner-files-list {
+                max-height: 150px;
+                overflow-y: auto;
+                background: rgba(0, 0, 0, 0.2);
+                border-radius: 5px;
+                padding: 8px;
+            }
+
+            .pyrunner-file-item {
+                display: flex;
+                align-items: center;
+                justify-content: space-between;
+                gap: 8px;
+                padding: 4px 8px;
+                border-radius: 4px;
+                font-size: 0.85em;
+            }
+
+            .pyrunner-file-item:hover {
+                background: rgba(255, 255, 255, 0.1);
+            }
+
+            .pyrunner-file-name {
+                flex: 1;
+                min-width: 0;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+                font-family: monospace;
+            }
+
+            .pyrunner-file-size {
+                opacity: 0.7;
+                font-size: 0.9em;
+            }
+
+            .pyrunner-file-item .menu_button_icon {
+                padding: 3px 6px;
+                min-width: unset;
+                font-size: 0.8em;
+            }
+
             /* Modal Styles */
             .pyrunner-modal-overlay {
                 position: fixed;
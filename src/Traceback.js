@@ -0,0 +1,147 @@
+/**
+ * Traceback - Parses Python tracebacks and maps their frames back to the code the user wrote
+ *
+ * Saved functions are prepended to the snippet before it runs (see injectFunctionCode), so
+ * line numbers reported by Python are relative to the combined code. A source map describing
+ * where each function and the snippet start lets frames point at the right place again.
+ */
+
+// Filenames Python reports for the executed code: server runs use a script file, server sessions use <string>,
+// Pyodide uses <exec>
+const SNIPPET_FILES = ['<string>', '<exec>'];
+const SNIPPET_FILE_PATTERN = /(^|[\\/])pyrunner_script\.py$/;
+
+/**
+ * Check whether a frame's file is the executed code
+ * @param {string} file
+ * @returns {boolean}
+ */
+function isSnippetFile(file) {
+    return SNIPPET_FILES.includes(file) || SNIPPET_FILE_PATTERN.test(file);
+}
+
+// Frames from Pyodide's own code that wraps every run
+const INTERNAL_FILE_PATTERN = /\/_pyodide\//;
+
+/**
+ * Parse the text of a Python traceback
+ * Only the last exception of a chain is kept, since that is the one that was raised.
+ * @param {string} text - Traceback as printed by Python, possibly after other stderr output
+ * @returns {{type: string, message: string, frames: Array<{file: string, line: number, name: string|null, code: string|null}>}|null}
+ *     null if the text contains no traceback
+ */
+export function parseTraceback(text) {
+    if (!text) {
+        return null;
+    }
+
+    const lines = String(text).replace(/\r\n/g, '\n').trimEnd().split('\n');
+    const header = lines.lastIndexOf('Traceback (most recent call last):');
+    const frames = [];
+    let index = header + 1;
+
+    // SyntaxErrors are printed without a header, as a single frame
+    if (header === -1) {
+        index = lines.findIndex(line => /^\s*File ".+", line \d+/.test(line));
+        if (index === -1) {
+            return null;
+        }
+    }
+
+    for (; index < lines.length; index++) {
+        const line = lines[index];
+        const frame = line.match(/^\s*File "(.+)", line (\d+)(?:, in (.+))?$/);
+        if (frame) {
+            frames.push({ file: frame[1], line: parseInt(frame[2]), name: frame[3] ?? null, code: null });
+        } else if (line.startsWith('    ')) {
+            // Source line of the previous frame; skip the ^^^ markers under it
+            const current = frames[frames.length - 1];
+            if (current && current.code === null && !/^\s*[\^~]+\s*$/.test(line)) {
+                current.code = line.trim();
+            }
+        } else if (line.trim()) {
+            break;
+        }
+    }
+
+    const exception = lines.slice(index).join('\n').match(/^([A-Za-z_][\w.]*)(?::\s?([\s\S]*))?$/);
+    if (!exception) {
+        return null;
+    }
+
+    return { type: exception[1], message: (exception[2] ?? '').trim(), frames };
+}
+
+/**
+ * Attribute each frame of a parsed traceback to the snippet, a saved function or a library
+ * @param {object|null} traceback - From parseTraceback()
+ * @param {object} [sourceMap] - From injectFunctionCode(): { functions: [{name, startLine, lineCount}], snippetStartLine }
+ * @returns {object|null} The traceback with frames of the form
+ *     { source: 'snippet' | 'function' | 'library', function?: string, file, line, name, code }
+ */
+export function mapTraceback(traceback, sourceMap) {
+    if (!traceback) {
+        return null;
+    }
+
+    const functions = sourceMap?.functions || [];
+    const snippetStartLine = sourceMap?.snippetStartLine || 1;
+
+    const frames = traceback.frames
+        .filter(frame => !INTERNAL_FILE_PATTERN.test(frame.file))
+        .map((frame) => {
+            if (!isSnippetFile(frame.file)) {
+                return { ...frame, source: 'library' };
+            }
+            const func = functions.find(f => frame.line >= f.startLine && frame.line < f.startLine + f.lineCount);
+            if (func) {
+                return { ...frame, source: 'function', function: func.name, line: frame.line - func.startLine + 1 };
+            }
+            return { ...frame, source: 'snippet', line: frame.line - snippetStartLine + 1 };
+        });
+
+    return { ...traceback, frames };
+}
+
+/**
+ * Describe where a mapped frame is
+ * @param {object} frame - Frame from mapTraceback()
+ * @returns {string}
+ */
+function describeFrame(frame) {
+    if (frame.source === 'function') {
+        return `function ${frame.function}, line ${frame.line}`;
+    }
+    if (frame.source === 'snippet') {
+        return `line ${frame.line}`;
+    }
+    return `File "${frame.file}", line ${frame.line}`;
+}
+
+/**
+ * Format a mapped traceback as one line, pointing at the innermost frame in the user's code
+ * @param {object} traceback - From mapTraceback()
+ * @returns {string} e.g. "ZeroDivisionError: division by zero (function roll, line 3)"
+ */
+export function formatTracebackSummary(traceback) {
+    const exception = traceback.message ? `${traceback.type}: ${traceback.message.split('\n')[0]}` : traceback.type;
+    const frame = [...traceback.frames].reverse().find(f => f.source !== 'library') || traceback.frames[traceback.frames.length - 1];
+    return frame ? `${exception} (${describeFrame(frame)})` : exception;
+}
+
+/**
+ * Format a mapped traceback in full, with frames relabelled to the user's code
+ * @param {object} traceback - From mapTraceback()
+ * @returns {string}
+ */
+export function formatTraceback(traceback) {
+    const lines = ['Traceback (most recent call last):'];
+    for (const frame of traceback.frames) {
+        lines.push(`  ${describeFrame(frame)}${frame.name ? `, in ${frame.name}` : ''}`);
+        if (frame.code) {
+            lines.push(`    ${frame.code}`);
+        }
+    }
+    lines.push(traceback.message ? `${traceback.type}: ${traceback.message}` : traceback.type);
+    return lines.join('\n');
+}